@@ -0,0 +1,132 @@
+const fsp = require('fs/promises');
+const User = require('./models/User');
+const Label = require('./models/Label');
+const AutoReply = require('./models/AutoReply');
+const AutoReplyLog = require('./models/AutoReplyLog');
+const Filter = require('./models/Filter');
+const Contact = require('./models/Contact');
+const ContactGroup = require('./models/ContactGroup');
+const Session = require('./models/Session');
+const MailboxJob = require('./models/MailboxJob');
+const OutboundDelivery = require('./models/OutboundDelivery');
+const SpamModel = require('./models/SpamModel');
+const SpamToken = require('./models/SpamToken');
+const { deleteEntries } = require('./mailboxCleanup');
+const { removeFile } = require('./storage');
+const { sendAccountEmail } = require('./accountMail');
+
+// Xóa tài khoản: ngay lập tức, hoặc sau thời gian chờ ACCOUNT_DELETION_GRACE_DAYS ngày (mặc định 7, 0 = xóa ngay)
+// để người dùng có thể hủy bằng cách đăng nhập lại
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const getGraceDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isNaN(days) ? 7 : Math.max(days, 0);
+};
+
+// Xóa mọi mục hộp thư của người dùng; nội dung email và tệp đính kèm chỉ bị xóa khi không còn ai tham chiếu,
+// nên email đã gửi tới người khác vẫn nằm trong hộp thư của họ
+async function removeMailbox(userId) {
+  await deleteEntries({ userId });
+}
+
+/**
+ * Xóa vĩnh viễn người dùng và dữ liệu riêng của họ: phiên, hộp thư, nhãn, bộ lọc, Auto Reply, danh bạ,
+ * mô hình spam riêng, tác vụ xuất/nhập và ảnh đại diện. Bản ghi User bị xóa sau cùng để lần quét sau
+ * có thể làm lại nếu bị gián đoạn giữa chừng.
+ */
+async function purgeUser(user) {
+  const userId = user._id;
+  await Session.deleteMany({ userId });
+  // Trạng thái gửi ra ngoài chỉ người gửi xem được; email chưa gửi đi bị hủy cùng tài khoản
+  await OutboundDelivery.deleteMany({ senderId: userId });
+  await removeMailbox(userId);
+
+  const contacts = await Contact.find({ userId, avatarKey: { $exists: true } }, 'avatarKey');
+  for (const contact of contacts) await removeFile(contact.avatarKey);
+
+  const jobs = await MailboxJob.find({ userId, filePath: { $exists: true } }, 'filePath');
+  for (const job of jobs) await fsp.rm(job.filePath, { force: true });
+
+  await Promise.all([
+    Label.deleteMany({ userId }),
+    Filter.deleteMany({ userId }),
+    AutoReply.deleteMany({ userId }),
+    AutoReplyLog.deleteMany({ userId }),
+    Contact.deleteMany({ userId }),
+    ContactGroup.deleteMany({ userId }),
+    MailboxJob.deleteMany({ userId }),
+    SpamModel.deleteMany({ userId }),
+    SpamToken.deleteMany({ userId })
+  ]);
+
+  await removeFile(user.pictureKey);
+  await User.deleteOne({ _id: userId });
+  console.log(`Account ${userId} deleted`);
+}
+
+/**
+ * Yêu cầu xóa tài khoản: mọi phiên bị thu hồi. Có thời gian chờ thì chỉ hẹn ngày xóa và báo qua email,
+ * ngược lại xóa ngay. Trả về ngày xóa đã hẹn, hoặc null nếu đã xóa.
+ */
+async function requestAccountDeletion(user) {
+  const graceDays = getGraceDays();
+  if (graceDays === 0) {
+    await purgeUser(user);
+    return null;
+  }
+
+  const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+  await Session.deleteMany({ userId: user._id });
+
+  if (user.email && user.isEmailVerified) {
+    sendAccountEmail(
+      user.email,
+      'Your account is scheduled for deletion',
+      `Your account and all of its mail will be permanently deleted on ${scheduledFor.toUTCString()}. `
+        + 'To keep your account, sign in before then and cancel the deletion from your profile.'
+    ).catch(err => console.error('Deletion notice error:', err.message, err.stack));
+  }
+  return scheduledFor;
+}
+
+// Hủy yêu cầu xóa tài khoản trong thời gian chờ
+async function cancelAccountDeletion(user) {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+}
+
+// Xóa các tài khoản đã hết thời gian chờ
+async function purgeDueAccounts() {
+  try {
+    const due = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+    for (const user of due) {
+      try {
+        await purgeUser(user);
+      } catch (err) {
+        console.error(`Account purge error for ${user._id}:`, err.message, err.stack);
+      }
+    }
+  } catch (err) {
+    console.error('Account purge error:', err.message, err.stack);
+  }
+}
+
+// Khởi động bộ xóa tài khoản chạy nền
+function startAccountPurge() {
+  purgeDueAccounts();
+  setInterval(purgeDueAccounts, PURGE_INTERVAL_MS);
+}
+
+module.exports = {
+  getGraceDays,
+  purgeUser,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  startAccountPurge
+};
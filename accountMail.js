@@ -0,0 +1,12 @@
+const nodemailer = require('nodemailer');
+
+// Email hệ thống về tài khoản (OTP, xác minh địa chỉ, thông báo bảo mật), gửi qua tài khoản Gmail cấu hình trong .env
+async function sendAccountEmail(to, subject, text) {
+  const transporter = nodemailer.createTransport({
+    service: 'gmail',
+    auth: { user: process.env.GMAIL_USER, pass: process.env.GMAIL_PASS }
+  });
+  await transporter.sendMail({ from: process.env.GMAIL_USER, to, subject, text });
+}
+
+module.exports = { sendAccountEmail };
@@ -0,0 +1,234 @@
+// Chính sách tệp đính kèm: nhận diện loại tệp thật từ nội dung (magic bytes), chặn tệp nguy hiểm
+// và giới hạn loại / kích thước theo cấu hình (ATTACHMENT_ALLOWED_TYPES, ATTACHMENT_MAX_SIZE,
+// ATTACHMENT_MAX_TOTAL_SIZE, ATTACHMENT_BLOCK_ACTION).
+const DEFAULT_ALLOWED_TYPES = [
+  'jpeg', 'png', 'gif', 'webp', 'pdf', 'txt', 'csv',
+  'doc', 'xls', 'ppt', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp',
+  'zip', 'mp3', 'wav', 'mp4'
+];
+
+const getAllowedTypes = () => (process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES);
+const getMaxSize = () => parseInt(process.env.ATTACHMENT_MAX_SIZE, 10) || 10 * 1024 * 1024;
+const getMaxTotalSize = () => parseInt(process.env.ATTACHMENT_MAX_TOTAL_SIZE, 10) || 25 * 1024 * 1024;
+// Email nhận qua SMTP có tệp bị chặn: quarantine (giữ email, cách ly tệp) hoặc reject (từ chối cả email)
+const getBlockAction = () => (process.env.ATTACHMENT_BLOCK_ACTION === 'reject' ? 'reject' : 'quarantine');
+
+// Phần mở rộng của tệp thực thi, script và tài liệu Office có macro; luôn bị chặn kể cả trong tệp nén
+const dangerousExtensions = new Set([
+  'exe', 'dll', 'com', 'scr', 'pif', 'cpl', 'msi', 'msp', 'msc', 'bat', 'cmd', 'jar', 'js', 'jse',
+  'vbs', 'vbe', 'wsf', 'wsh', 'ps1', 'psm1', 'hta', 'lnk', 'reg', 'scf', 'sh', 'app', 'apk', 'dmg',
+  'iso', 'img', 'vhd', 'docm', 'dotm', 'xlsm', 'xltm', 'xlam', 'pptm', 'potm', 'ppam', 'sldm'
+]);
+
+const mimeTypes = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  html: 'text/html',
+  svg: 'image/svg+xml',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  zip: 'application/zip',
+  rar: 'application/vnd.rar',
+  '7z': 'application/x-7z-compressed',
+  gz: 'application/gzip',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4'
+};
+
+const extensionOf = (filename) => {
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  return match ? match[1].toLowerCase() : '';
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (text) => [...text].map(c => c.charCodeAt(0));
+
+// Danh sách tên tệp trong central directory của tệp ZIP (không giải nén)
+function zipEntryNames(buffer) {
+  // End of central directory nằm trong 64KB cuối (22 byte + comment)
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return null;
+
+  const names = [];
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+// Loại tài liệu ODF nằm trong tệp "mimetype" không nén, luôn là mục đầu tiên của tệp ZIP
+function odfType(buffer) {
+  const nameLength = buffer.readUInt16LE(26);
+  const extraLength = buffer.readUInt16LE(28);
+  if (buffer.toString('utf8', 30, 30 + nameLength) !== 'mimetype') return null;
+  const start = 30 + nameLength + extraLength;
+  const mimetype = buffer.toString('utf8', start, start + 60);
+  if (mimetype.startsWith(mimeTypes.odt)) return 'odt';
+  if (mimetype.startsWith(mimeTypes.ods)) return 'ods';
+  if (mimetype.startsWith(mimeTypes.odp)) return 'odp';
+  return null;
+}
+
+// Nhận diện các tệp dạng ZIP: tài liệu Office/ODF, Java/Android, hoặc tệp nén thông thường
+function sniffZip(buffer) {
+  const names = zipEntryNames(buffer);
+  if (!names) return { type: 'zip', danger: 'Corrupted or unreadable ZIP archive' };
+
+  if (names.includes('[Content_Types].xml')) {
+    const type = names.some(n => n.startsWith('word/')) ? 'docx'
+      : names.some(n => n.startsWith('xl/')) ? 'xlsx'
+        : names.some(n => n.startsWith('ppt/')) ? 'pptx' : 'zip';
+    if (names.some(n => /(^|\/)vbaProject\.bin$/i.test(n))) {
+      return { type, danger: 'Macro-enabled Office documents are not allowed' };
+    }
+    return { type };
+  }
+
+  const odf = buffer.length > 30 && odfType(buffer);
+  if (odf) {
+    if (names.some(n => n.startsWith('Basic/') || n.startsWith('Scripts/'))) {
+      return { type: odf, danger: 'Documents containing macros are not allowed' };
+    }
+    return { type: odf };
+  }
+
+  if (names.includes('AndroidManifest.xml') || names.some(n => n === 'META-INF/MANIFEST.MF' || n.endsWith('.class'))) {
+    return { type: 'jar', danger: 'Java and Android packages are not allowed' };
+  }
+
+  const dangerous = names.find(n => dangerousExtensions.has(extensionOf(n)));
+  if (dangerous) return { type: 'zip', danger: `Archive contains a blocked file "${dangerous}"` };
+  return { type: 'zip' };
+}
+
+// Tài liệu Office cũ (OLE2): loại theo phần mở rộng, chặn khi có dự án VBA
+function sniffOle(buffer, filename) {
+  const ext = extensionOf(filename);
+  if (ext === 'msi' || ext === 'msp') return { type: ext, danger: 'Windows installers are not allowed' };
+  const type = { doc: 'doc', dot: 'doc', xls: 'xls', xlt: 'xls', ppt: 'ppt', pot: 'ppt' }[ext] || 'ole';
+  if (buffer.includes(Buffer.from('_VBA_PROJECT', 'utf16le')) || buffer.includes(Buffer.from('Macros', 'utf16le'))) {
+    return { type, danger: 'Documents containing macros are not allowed' };
+  }
+  return { type };
+}
+
+// Văn bản thuần: không có byte NUL và là UTF-8 hợp lệ trong 8KB đầu
+function sniffText(buffer, filename) {
+  const head = buffer.subarray(0, 8192);
+  if (head.includes(0)) return null;
+  try {
+    // Bỏ vài byte cuối khi tệp bị cắt để không cắt ngang một ký tự nhiều byte
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer.length > head.length ? head.subarray(0, head.length - 3) : head);
+  } catch (err) {
+    return null;
+  }
+  const text = head.toString('utf8').trimStart().toLowerCase();
+  if (text.startsWith('#!')) return { type: 'script', danger: 'Executable scripts are not allowed' };
+  if (/^(<\?xml[^>]*>\s*)?<svg[\s>]/.test(text)) return { type: 'svg' };
+  if (/^<!doctype html|^<html[\s>]|^<script[\s>]/.test(text)) return { type: 'html' };
+  return { type: extensionOf(filename) === 'csv' ? 'csv' : 'txt' };
+}
+
+/**
+ * Nhận diện loại tệp từ nội dung. Trả về { type, mime, danger }; `danger` là lý do tệp luôn bị chặn
+ * (tệp thực thi, script, macro, tệp nén chứa những tệp đó).
+ */
+function sniffType(buffer, filename) {
+  let result;
+  if (startsWith(buffer, [0x4d, 0x5a])) result = { type: 'exe', danger: 'Executable files are not allowed' };
+  else if (startsWith(buffer, [0x7f, 0x45, 0x4c, 0x46])) result = { type: 'elf', danger: 'Executable files are not allowed' };
+  else if ([[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+    .some(bytes => startsWith(buffer, bytes))) result = { type: 'macho', danger: 'Executable files are not allowed' };
+  else if (startsWith(buffer, [0xff, 0xd8, 0xff])) result = { type: 'jpeg' };
+  else if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) result = { type: 'png' };
+  else if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) result = { type: 'gif' };
+  else if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) result = { type: 'webp' };
+  else if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WAVE'), 8)) result = { type: 'wav' };
+  else if (startsWith(buffer, ascii('%PDF-'))) result = { type: 'pdf' };
+  else if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06])) result = sniffZip(buffer);
+  else if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) result = sniffOle(buffer, filename);
+  else if (startsWith(buffer, ascii('Rar!\x1a\x07'))) result = { type: 'rar' };
+  else if (startsWith(buffer, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) result = { type: '7z' };
+  else if (startsWith(buffer, [0x1f, 0x8b])) result = { type: 'gz' };
+  else if (startsWith(buffer, ascii('ID3')) || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) result = { type: 'mp3' };
+  else if (startsWith(buffer, ascii('ftyp'), 4)) result = { type: 'mp4' };
+  else result = sniffText(buffer, filename) || { type: 'unknown' };
+
+  return { ...result, mime: mimeTypes[result.type] || 'application/octet-stream' };
+}
+
+/**
+ * Kiểm tra một tệp đính kèm ({ buffer, originalname }) theo chính sách.
+ * Trả về { allowed, reason, type, mime }; `mime` là loại thật nhận diện từ nội dung.
+ */
+function checkAttachment(file) {
+  const filename = file.originalname || '';
+  const size = file.buffer.length;
+  const { type, mime, danger } = sniffType(file.buffer, filename);
+  const result = { allowed: false, type, mime };
+
+  const maxSize = getMaxSize();
+  if (size > maxSize) return { ...result, reason: `File exceeds the ${formatSize(maxSize)} size limit` };
+
+  const ext = extensionOf(filename);
+  if (dangerousExtensions.has(ext)) return { ...result, reason: `Files of type .${ext} are not allowed` };
+  if (danger) return { ...result, reason: danger };
+  if (!getAllowedTypes().includes(type)) {
+    return { ...result, reason: type === 'unknown' ? 'Unrecognized file type' : `File type "${type}" is not allowed` };
+  }
+  return { ...result, allowed: true };
+}
+
+/**
+ * Kiểm tra mọi tệp của một email, kể cả tổng kích thước. Trả về kết quả theo thứ tự tệp;
+ * các tệp vượt quá tổng kích thước cho phép bị chặn.
+ */
+function checkAttachments(files = []) {
+  const maxTotal = getMaxTotalSize();
+  let total = 0;
+  return files.map(file => {
+    const result = checkAttachment(file);
+    if (!result.allowed) return result;
+    total += file.buffer.length;
+    if (total > maxTotal) {
+      return { ...result, allowed: false, reason: `Attachments exceed the ${formatSize(maxTotal)} total size limit` };
+    }
+    return result;
+  });
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024) * 10) / 10}MB` : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+module.exports = { sniffType, checkAttachment, checkAttachments, getMaxSize, getBlockAction, formatSize };
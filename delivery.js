@@ -0,0 +1,220 @@
+const User = require('./models/User');
+const Label = require('./models/Label');
+const MailboxEntry = require('./models/MailboxEntry');
+const AutoReply = require('./models/AutoReply');
+const AutoReplyLog = require('./models/AutoReplyLog');
+const Email = require('./models/Email');
+const Contact = require('./models/Contact');
+const { detectSpam } = require('./spamDetection');
+const { buildThreadFields } = require('./messageUtils');
+const { applyUserFilters, matchesSenderList } = require('./mailFilters');
+const { notifyNewEmail } = require('./notifications');
+const { queueOutbound } = require('./outbound');
+const { copyAttachments } = require('./uploads');
+
+// Vai trò của từng địa chỉ nhận; một địa chỉ xuất hiện nhiều lần chỉ nhận một bản (ưu tiên To > CC > BCC)
+function recipientRoles(email) {
+  const roles = new Map();
+  email.recipients.forEach(address => roles.has(address) || roles.set(address, 'to'));
+  (email.cc || []).forEach(address => roles.has(address) || roles.set(address, 'cc'));
+  (email.bcc || []).forEach(address => roles.has(address) || roles.set(address, 'bcc'));
+  return roles;
+}
+
+// Địa chỉ hệ thống / không nhận phản hồi không bao giờ được Auto Reply
+const noReplyAddress = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply)@/i;
+
+// Địa chỉ có trong danh bạ, hoặc người nhận đã từng gửi email tới địa chỉ này
+async function isKnownContact(user, address) {
+  if (await Contact.exists({ userId: user._id, emails: address.toLowerCase() })) return true;
+  return Boolean(await Email.exists({ sender: user.email, $or: [{ recipients: address }, { cc: address }, { bcc: address }] }));
+}
+
+// Ghi nhận lần trả lời nếu chưa trả lời người gửi này trong N ngày; trả về false nếu đã trả lời
+async function claimAutoReplySlot(userId, address, intervalDays) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - intervalDays * 24 * 60 * 60 * 1000);
+  try {
+    await AutoReplyLog.findOneAndUpdate(
+      { userId, address: address.toLowerCase(), lastRepliedAt: { $lte: cutoff } },
+      { lastRepliedAt: now },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    // Đã có bản ghi mới hơn cutoff: upsert trùng khóa duy nhất
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Gửi Auto Reply từ người nhận về người gửi nếu người nhận đang bật và email đủ điều kiện:
+ * trong khoảng thời gian đã đặt, không phải email tự động/hàng loạt, đúng phạm vi người gửi
+ * (chỉ liên hệ / chỉ nội bộ) và chưa trả lời người gửi này trong N ngày.
+ */
+async function sendAutoReply(originalEmail, recipientUser, senderUser, io, { external = false } = {}) {
+  const autoReply = await AutoReply.findOne({ userId: recipientUser._id });
+  if (!autoReply || !autoReply.isActive() || !recipientUser.isEmailVerified) return;
+
+  const sender = senderUser.email;
+  if (originalEmail.autoSubmitted || originalEmail.isBulk || noReplyAddress.test(sender)) return;
+  if (sender.toLowerCase() === recipientUser.email.toLowerCase()) return;
+  // Email từ bên ngoài không bao giờ là nội bộ, kể cả khi From trùng địa chỉ của người dùng
+  if (autoReply.internalOnly && (external || !(await User.exists({ email: sender, isEmailVerified: true })))) return;
+  if (autoReply.contactsOnly && !(await isKnownContact(recipientUser, sender))) return;
+  if (!(await claimAutoReplySlot(recipientUser._id, sender, autoReply.replyIntervalDays))) return;
+
+  const replyEmail = new Email({
+    sender: recipientUser.email,
+    recipients: [sender],
+    subject: autoReply.subject || `Auto Reply: ${originalEmail.subject}`,
+    body: autoReply.message,
+    sentAt: new Date(),
+    autoSubmitted: 'auto-replied',
+    ...buildThreadFields(originalEmail)
+  });
+  await replyEmail.save();
+
+  // Không tự động trả lời một Auto Reply để tránh vòng lặp
+  await deliverEmail(replyEmail, recipientUser, { io, autoReply: false });
+}
+
+// Lưu email vào thư mục Sent của người gửi
+async function createSentEntry(email, senderUser) {
+  const sentEntry = new MailboxEntry({
+    userId: senderUser._id,
+    email: email._id,
+    role: 'sender',
+    folder: 'sent',
+    isRead: true,
+    threadId: email.threadId,
+    sentAt: email.sentAt
+  });
+  await sentEntry.save();
+  return sentEntry;
+}
+
+// Chuyển tiếp email tới người dùng nội bộ khác theo hành động của bộ lọc
+async function forwardByFilter(email, user, address, io) {
+  if (address === user.email) return;
+  const target = await User.findOne({ email: address, isEmailVerified: true });
+  if (!target) {
+    console.warn(`Filter forward skipped for ${user.email}: ${address} not found or unverified`);
+    return;
+  }
+
+  const forwardEmail = new Email({
+    sender: user.email,
+    recipients: [address],
+    subject: `Fwd: ${email.subject}`,
+    body: `<br><br>--- Forwarded Message ---<br>${email.body}`,
+    attachments: await copyAttachments(email.attachments),
+    sentAt: new Date(),
+    ...buildThreadFields(email)
+  });
+  await forwardEmail.save();
+
+  // Email được chuyển tiếp tự động không kích hoạt thêm chuyển tiếp hay Auto Reply để tránh vòng lặp
+  await deliverEmail(forwardEmail, user, { io, autoReply: false, filterForwarding: false });
+}
+
+/**
+ * Lưu email vào hộp thư của từng người nhận nội bộ (Inbox hoặc Spam), áp dụng bộ lọc
+ * của người nhận, gửi thông báo WebSocket và Auto Reply. Địa chỉ bên ngoài được đưa vào hàng đợi SMTP.
+ */
+async function deliverToRecipients(email, senderUser, {
+  io,
+  autoReply = true,
+  filterForwarding = true,
+  // Email nhận từ SMTP: chỉ phát tới người nhận trong envelope, không gửi ra ngoài
+  envelopeRecipients = null,
+  // Người gửi chưa được xác thực (email nhận từ SMTP): From chỉ là khai báo, không được coi là người dùng đã xác minh
+  external = false,
+  // Địa chỉ được so với danh sách người gửi an toàn; mặc định là From của email
+  safeSenderAddresses = null
+} = {}) {
+  const roles = recipientRoles(email);
+  if (envelopeRecipients) {
+    [...roles.keys()].filter(address => !envelopeRecipients.includes(address)).forEach(address => roles.delete(address));
+  }
+  const knownUsers = await User.find({ email: { $in: [...roles.keys()] } });
+  const recipientUsers = knownUsers.filter(user => user.isEmailVerified);
+  let anySpam = false;
+
+  // Địa chỉ không thuộc người dùng nào được gửi ra ngoài qua SMTP relay
+  if (!envelopeRecipients) {
+    const knownEmails = new Set(knownUsers.map(user => user.email));
+    await queueOutbound(email, senderUser, [...roles.keys()].filter(address => !knownEmails.has(address)));
+  }
+
+  for (const recipientUser of recipientUsers) {
+    const role = roles.get(recipientUser.email);
+    const isBlocked = matchesSenderList(recipientUser.blockedSenders, email.sender);
+    // Người nhận chọn bỏ luôn email từ người gửi bị chặn
+    if (isBlocked && recipientUser.blockedSenderAction === 'drop') continue;
+
+    // Người gửi bị chặn luôn vào Spam; người gửi an toàn bỏ qua kiểm tra spam;
+    // còn lại kiểm tra theo mô hình của từng người nhận
+    let isSpam = isBlocked;
+    let score;
+    const isSafe = (safeSenderAddresses || [email.sender]).some(address => matchesSenderList(recipientUser.safeSenders, address));
+    if (!isBlocked && !isSafe) {
+      ({ isSpam, score } = await detectSpam(email, senderUser.email, { recipientId: recipientUser._id, external }));
+    }
+    anySpam = anySpam || isSpam;
+    // Đảm bảo nhãn "Spam" tồn tại cho người nhận
+    const spamLabel = isSpam ? await Label.ensureSpamLabel(recipientUser._id) : null;
+
+    const entry = new MailboxEntry({
+      userId: recipientUser._id,
+      email: email._id,
+      role,
+      folder: isSpam ? 'spam' : 'inbox',
+      isSpam,
+      spamScore: score,
+      labels: spamLabel ? [spamLabel._id] : [],
+      threadId: email.threadId,
+      sentAt: email.sentAt
+    });
+
+    // Bộ lọc của người nhận: gắn nhãn, lưu trữ, đánh dấu, chuyển thư mục, chuyển tiếp
+    const forwardTo = await applyUserFilters(entry, email);
+    await entry.save();
+
+    notifyNewEmail(io, recipientUser.email, {
+      emailId: entry._id,
+      threadId: email.threadId,
+      sender: email.sender,
+      subject: email.subject,
+      sentAt: email.sentAt,
+      folder: entry.folder,
+      isSpam: entry.isSpam
+    });
+
+    // Auto Reply cho người nhận To và CC (không cho BCC) với email không phải spam
+    if (autoReply && !entry.isSpam && entry.folder !== 'trash' && role !== 'bcc') {
+      await sendAutoReply(email, recipientUser, senderUser, io, { external });
+    }
+
+    if (filterForwarding) {
+      for (const address of forwardTo) {
+        await forwardByFilter(email, recipientUser, address, io);
+      }
+    }
+  }
+
+  return { isSpam: anySpam };
+}
+
+/**
+ * Gửi email ngay: lưu vào Sent của người gửi rồi phát tới người nhận.
+ * Email phải được lưu trước; người nhận phải được kiểm tra trước khi gọi.
+ */
+async function deliverEmail(email, senderUser, options = {}) {
+  const sentEntry = await createSentEntry(email, senderUser);
+  const { isSpam } = await deliverToRecipients(email, senderUser, options);
+  return { sentEntry, isSpam };
+}
+
+module.exports = { deliverEmail, deliverToRecipients };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+const { sendAccountEmail } = require('./accountMail');
+const { escapeRegex } = require('./searchQuery');
+
+// Xác minh quyền sở hữu email: địa chỉ mới được lưu ở pendingEmail cho tới khi người dùng mở liên kết
+// đã ký hoặc nhập OTP gửi tới địa chỉ đó; chỉ khi đó nó mới trở thành email (isEmailVerified = true).
+// Địa chỉ cũ vẫn hoạt động cho tới lúc xác nhận.
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const getOtpMaxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+
+// Địa chỉ gốc của server dùng trong liên kết xác minh
+const getAppUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+const hashOtp = (otp) => crypto.createHash('sha256').update(otp).digest('hex');
+
+// Địa chỉ đã là email (đã xác minh hoặc chưa) của người dùng khác
+const isEmailTaken = (email, userId) =>
+  User.exists({ _id: { $ne: userId }, email: new RegExp(`^${escapeRegex(email)}$`, 'i') });
+
+/**
+ * Bắt đầu đổi / đặt email: lưu địa chỉ chờ xác minh, gửi liên kết và OTP tới địa chỉ mới,
+ * báo cho địa chỉ cũ (nếu đã xác minh). Yêu cầu mới thay thế yêu cầu trước đó.
+ */
+async function requestEmailChange(user, newEmail) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(Date.now() + VERIFICATION_TTL_MS);
+
+  user.pendingEmail = newEmail;
+  user.emailVerification = { nonce, otpHash: hashOtp(otp), expiresAt, attempts: 0 };
+  await user.save();
+
+  const token = jwt.sign(
+    { userId: user._id, email: newEmail, nonce, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(VERIFICATION_TTL_MS / 1000) }
+  );
+  const link = `${getAppUrl()}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+  await sendAccountEmail(
+    newEmail,
+    'Verify your email address',
+    `Confirm that this address belongs to you by opening the link below, or enter the code ${otp} in the app.\n\n`
+      + `${link}\n\nThe link and code expire in 24 hours. If you did not request this, ignore this email.`
+  );
+
+  if (user.email && user.isEmailVerified) {
+    await sendAccountEmail(
+      user.email,
+      'Email change requested',
+      `A request was made to change your account email to ${newEmail}. `
+        + 'This address keeps working until the new one is confirmed. '
+        + 'If this was not you, change your password and cancel the request from your profile.'
+    );
+  }
+}
+
+// Xác nhận: pendingEmail trở thành email đã xác minh. Trả về { user } hoặc { error, status }
+async function confirmEmailChange(user, nonce) {
+  const newEmail = user.pendingEmail;
+  if (await isEmailTaken(newEmail, user._id)) {
+    return { error: 'Email already in use by another account', status: 409 };
+  }
+
+  const previousEmail = user.isEmailVerified ? user.email : null;
+  // Chỉ cập nhật nếu yêu cầu chưa bị thay thế hoặc hủy
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, pendingEmail: newEmail, 'emailVerification.nonce': nonce },
+    { $set: { email: newEmail, isEmailVerified: true }, $unset: { pendingEmail: 1, emailVerification: 1 } },
+    { new: true }
+  );
+  if (!updated) return { error: 'Invalid or expired verification', status: 400 };
+
+  if (previousEmail && previousEmail.toLowerCase() !== newEmail.toLowerCase()) {
+    sendAccountEmail(
+      previousEmail,
+      'Your account email was changed',
+      `Your account email is now ${newEmail}. Mail sent to this address is no longer delivered to your account.`
+    ).catch(err => console.error('Email change notice error:', err.message, err.stack));
+  }
+  return { user: updated };
+}
+
+// Xác minh bằng liên kết đã ký; trả về { user } hoặc { error, status }
+async function verifyEmailToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { error: 'Invalid or expired verification link', status: 400 };
+  }
+  if (payload.purpose !== 'verify-email') return { error: 'Invalid or expired verification link', status: 400 };
+
+  const user = await User.findById(payload.userId);
+  if (!user || !user.pendingEmail || user.pendingEmail !== payload.email
+    || !user.emailVerification || user.emailVerification.nonce !== payload.nonce) {
+    return { error: 'Invalid or expired verification link', status: 400 };
+  }
+  return confirmEmailChange(user, payload.nonce);
+}
+
+/**
+ * Xác minh bằng OTP; sai quá OTP_MAX_ATTEMPTS lần thì phải yêu cầu gửi lại.
+ * Trả về { user } hoặc { error, status, failed } (failed = nhập sai mã).
+ */
+async function verifyEmailOtp(user, otp) {
+  const verification = user.emailVerification;
+  if (!user.pendingEmail || !verification || !verification.nonce) {
+    return { error: 'No email change is pending', status: 400 };
+  }
+  if (verification.expiresAt <= new Date() || verification.attempts >= getOtpMaxAttempts()) {
+    return { error: 'Verification code expired. Request a new one.', status: 400 };
+  }
+  if (typeof otp !== 'string' || !/^\d{6}$/.test(otp) || hashOtp(otp) !== verification.otpHash) {
+    await User.updateOne(
+      { _id: user._id, 'emailVerification.nonce': verification.nonce },
+      { $inc: { 'emailVerification.attempts': 1 } }
+    );
+    return { error: 'Invalid verification code', status: 401, failed: true };
+  }
+  return confirmEmailChange(user, verification.nonce);
+}
+
+// Hủy yêu cầu đổi email đang chờ
+async function cancelEmailChange(user) {
+  user.pendingEmail = undefined;
+  user.emailVerification = undefined;
+  await user.save();
+}
+
+module.exports = {
+  isEmailTaken,
+  requestEmailChange,
+  verifyEmailToken,
+  verifyEmailOtp,
+  cancelEmailChange
+};
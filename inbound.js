@@ -0,0 +1,252 @@
+const fs = require('fs');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const User = require('./models/User');
+const Email = require('./models/Email');
+const { deliverToRecipients } = require('./delivery');
+const { uploadAttachments, quarantineAttachment } = require('./uploads');
+const { checkAttachments, getBlockAction } = require('./attachmentPolicy');
+const { getMailDomain, generateMessageId, generateThreadId } = require('./messageUtils');
+const { escapeRegex } = require('./searchQuery');
+
+// Nhận email từ bên ngoài qua SMTP (INBOUND_SMTP_PORT, INBOUND_SMTP_HOST, INBOUND_SMTP_MAX_SIZE,
+// INBOUND_SMTP_TLS_KEY, INBOUND_SMTP_TLS_CERT) và phát vào hộp thư của người dùng.
+const getMaxSize = () => parseInt(process.env.INBOUND_SMTP_MAX_SIZE, 10) || 25 * 1024 * 1024;
+
+let inboundIo = null;
+
+// Lỗi SMTP kèm mã phản hồi để smtp-server trả về cho máy gửi
+function smtpError(message, responseCode) {
+  const err = new Error(message);
+  err.responseCode = responseCode;
+  return err;
+}
+
+// Tìm người dùng đã xác minh theo địa chỉ, không phân biệt hoa thường
+const addressQuery = (addresses) => ({
+  email: { $in: addresses.map(address => new RegExp(`^${escapeRegex(address)}$`, 'i')) },
+  isEmailVerified: true
+});
+
+// Danh sách địa chỉ từ trường To/Cc đã phân tích (mailparser có thể trả về một hoặc nhiều AddressObject)
+function parsedAddresses(field) {
+  if (!field) return [];
+  return [].concat(field)
+    .flatMap(group => group.value || [])
+    .flatMap(entry => (entry.group ? entry.group : [entry]))
+    .map(entry => entry.address)
+    .filter(Boolean);
+}
+
+// Đánh dấu email tự động (Auto-Submitted, X-Autoreply) và email hàng loạt (Precedence, List-Id);
+// những email này không được Auto Reply để tránh vòng lặp
+function automationFields(parsed) {
+  const header = (name) => {
+    let value = parsed.headers.get(name);
+    if (value && typeof value === 'object') value = value.value;
+    return value ? String(value).trim().toLowerCase() : '';
+  };
+  let autoSubmitted = header('auto-submitted');
+  if (autoSubmitted === 'no') autoSubmitted = '';
+  if (!autoSubmitted && (parsed.headers.has('x-autoreply') || parsed.headers.has('x-autorespond'))) {
+    autoSubmitted = 'auto-replied';
+  }
+  return {
+    autoSubmitted: autoSubmitted || undefined,
+    isBulk: ['bulk', 'list', 'junk'].includes(header('precedence'))
+      || parsed.headers.has('list-id')
+      || parsed.headers.has('list-unsubscribe')
+  };
+}
+
+// Hội thoại: dùng lại threadId của email được trả lời nếu có trong hệ thống
+async function resolveThreadId(parsed) {
+  const related = [parsed.inReplyTo, ...[].concat(parsed.references || [])].filter(Boolean);
+  if (related.length === 0) return generateThreadId();
+  const parent = await Email.findOne({ messageId: { $in: related } }).sort({ sentAt: -1 });
+  return parent ? parent.threadId || parent._id.toString() : generateThreadId();
+}
+
+// Tệp đính kèm đã phân tích dưới dạng tệp của multer
+const toFile = (attachment, index) => ({
+  buffer: attachment.content,
+  originalname: attachment.filename || `attachment-${index + 1}`,
+  size: attachment.size,
+  mimetype: attachment.contentType
+});
+
+/**
+ * Lưu tệp đính kèm qua cùng đường tải lên với /send. Ảnh nhúng (cid:) được thay bằng URL đã tải
+ * ngay trong HTML và không nằm trong danh sách tệp đính kèm. Tệp bị chính sách chặn được cách ly.
+ */
+async function storeAttachments(parsed, html) {
+  const files = parsed.attachments.map(toFile);
+  const results = checkAttachments(files);
+  const quarantined = [];
+  const accepted = [];
+  for (const [i, attachment] of parsed.attachments.entries()) {
+    if (results[i].allowed) {
+      files[i].mimetype = results[i].mime;
+      accepted.push(attachment);
+    } else {
+      quarantined.push(await quarantineAttachment(files[i], results[i].reason));
+    }
+  }
+  const fileOf = (attachment) => files[parsed.attachments.indexOf(attachment)];
+
+  const inline = accepted.filter(a => a.cid && a.contentDisposition === 'inline' && html.includes(`cid:${a.cid}`));
+  const regular = accepted.filter(a => !inline.includes(a));
+
+  const inlineUploads = await uploadAttachments(inline.map(fileOf));
+  inline.forEach((attachment, i) => {
+    html = html.split(`cid:${attachment.cid}`).join(inlineUploads[i].url);
+  });
+
+  const attachments = await uploadAttachments(regular.map(fileOf));
+  return { html, attachments: [...attachments, ...quarantined] };
+}
+
+/**
+ * Tạo Email (chưa lưu) từ thư MIME đã phân tích: địa chỉ, nội dung HTML, tệp đính kèm và hội thoại.
+ * `canonical` chuẩn hóa địa chỉ To/Cc; sentAt mặc định là thời điểm nhận.
+ */
+async function emailFromParsed(parsed, { fallbackSender, canonical = (address) => address } = {}) {
+  const from = parsed.from && parsed.from.value && parsed.from.value[0];
+  const { html, attachments } = await storeAttachments(parsed, parsed.html || parsed.textAsHtml || '');
+
+  return new Email({
+    sender: (from && from.address) || fallbackSender || `mailer-daemon@${getMailDomain()}`,
+    recipients: parsedAddresses(parsed.to).map(canonical),
+    cc: parsedAddresses(parsed.cc).map(canonical),
+    subject: parsed.subject || '',
+    body: html,
+    attachments,
+    sentAt: new Date(),
+    messageId: parsed.messageId || generateMessageId(),
+    threadId: await resolveThreadId(parsed),
+    inReplyTo: parsed.inReplyTo,
+    references: [].concat(parsed.references || []),
+    ...automationFields(parsed)
+  });
+}
+
+// Tạo email từ thư MIME nhận qua SMTP và phát tới các người nhận nội bộ trong envelope
+async function receiveMessage(parsed, envelope) {
+  const localUsers = await User.find(addressQuery(envelope.rcptTo.map(rcpt => rcpt.address)));
+  if (localUsers.length === 0) return;
+
+  // ATTACHMENT_BLOCK_ACTION=reject: từ chối cả email ngay trong phiên SMTP thay vì cách ly tệp
+  if (getBlockAction() === 'reject') {
+    const files = parsed.attachments.map(toFile);
+    const results = checkAttachments(files);
+    const blocked = results.findIndex(result => !result.allowed);
+    if (blocked >= 0) {
+      throw smtpError(`Attachment "${files[blocked].originalname}" rejected: ${results[blocked].reason}`, 554);
+    }
+  }
+
+  // Chuẩn hóa địa chỉ của người dùng nội bộ theo cách viết đã đăng ký
+  const canonical = (address) => {
+    const user = localUsers.find(u => u.email.toLowerCase() === address.toLowerCase());
+    return user ? user.email : address;
+  };
+  const email = await emailFromParsed(parsed, {
+    fallbackSender: envelope.mailFrom && envelope.mailFrom.address,
+    canonical
+  });
+  // Người nhận trong envelope nhưng không có trong To/Cc là BCC
+  const localEmails = localUsers.map(u => u.email);
+  email.bcc = localEmails.filter(address => !email.recipients.includes(address) && !email.cc.includes(address));
+  await email.save();
+
+  // Không kiểm tra SPF/DKIM nên From và MAIL FROM chỉ là khai báo của máy gửi: email luôn được coi là từ bên ngoài.
+  // Địa chỉ trùng với người dùng nội bộ là giả mạo: không được tính là người gửi an toàn, và From giả mạo
+  // không được Auto Reply để phản hồi không rơi vào hộp thư của người dùng đó
+  const envelopeSender = envelope.mailFrom && envelope.mailFrom.address;
+  const claimedSenders = [...new Set([email.sender, envelopeSender].filter(Boolean))];
+  const localSenders = claimedSenders.length > 0
+    ? await User.find({ email: { $in: claimedSenders.map(address => new RegExp(`^${escapeRegex(address)}$`, 'i')) } }, 'email')
+    : [];
+  const isLocalAddress = (address) => localSenders.some(u => u.email.toLowerCase() === address.toLowerCase());
+  const spoofsLocalUser = isLocalAddress(email.sender);
+
+  // Người gửi bên ngoài không có tài khoản: chỉ cần địa chỉ để kiểm tra spam và gửi Auto Reply
+  await deliverToRecipients(email, { email: email.sender }, {
+    io: inboundIo,
+    // Thư báo lỗi (MAIL FROM rỗng) không bao giờ được trả lời
+    autoReply: Boolean(envelopeSender) && !spoofsLocalUser,
+    envelopeRecipients: localEmails,
+    external: true,
+    safeSenderAddresses: claimedSenders.filter(address => !isLocalAddress(address))
+  });
+}
+
+// Đọc thư từ phiên SMTP nhưng chỉ giữ tối đa maxSize byte; trả về null nếu thư vượt giới hạn
+function readMessage(stream, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size <= maxSize) chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(stream.sizeExceeded || size > maxSize ? null : Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Khởi động SMTP server nhận email nếu đã cấu hình INBOUND_SMTP_PORT
+function startInboundServer(io) {
+  inboundIo = io;
+  const port = parseInt(process.env.INBOUND_SMTP_PORT, 10);
+  if (!port) {
+    console.log('INBOUND_SMTP_PORT not set, inbound SMTP disabled');
+    return null;
+  }
+
+  const tls = process.env.INBOUND_SMTP_TLS_KEY && process.env.INBOUND_SMTP_TLS_CERT
+    ? { key: fs.readFileSync(process.env.INBOUND_SMTP_TLS_KEY), cert: fs.readFileSync(process.env.INBOUND_SMTP_TLS_CERT) }
+    : null;
+
+  const server = new SMTPServer({
+    name: getMailDomain(),
+    size: getMaxSize(),
+    authOptional: true,
+    disabledCommands: tls ? ['AUTH'] : ['AUTH', 'STARTTLS'],
+    ...(tls || {}),
+
+    // Chỉ nhận email cho người dùng đã xác minh
+    onRcptTo(address, session, callback) {
+      User.exists(addressQuery([address.address]))
+        .then(exists => callback(exists ? null : smtpError(`No such user here: ${address.address}`, 550)))
+        .catch(err => {
+          console.error('Inbound SMTP recipient check error:', err.message, err.stack);
+          callback(smtpError('Temporary lookup failure', 451));
+        });
+    },
+
+    onData(stream, session, callback) {
+      // Từ chối thư quá lớn trước khi phân tích để không nạp cả thư vào bộ nhớ
+      readMessage(stream, getMaxSize())
+        .then(message => {
+          if (!message) throw smtpError('Message exceeds fixed maximum message size', 552);
+          // Giữ liên kết cid: để ảnh nhúng được tải lên thay vì nhúng base64 vào HTML
+          return simpleParser(message, { keepCidLinks: true });
+        })
+        .then(parsed => receiveMessage(parsed, session.envelope))
+        .then(() => callback())
+        .catch(err => {
+          console.error('Inbound SMTP error:', err.message, err.stack);
+          callback(err.responseCode ? err : smtpError('Error processing message, try again later', 451));
+        });
+    }
+  });
+
+  server.on('error', err => console.error('Inbound SMTP server error:', err.message, err.stack));
+  server.listen(port, process.env.INBOUND_SMTP_HOST || '0.0.0.0', () => {
+    console.log(`Inbound SMTP listening on port ${port}`);
+  });
+  return server;
+}
+
+module.exports = { startInboundServer, receiveMessage, emailFromParsed, parsedAddresses };
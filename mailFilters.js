@@ -0,0 +1,88 @@
+const Filter = require('./models/Filter');
+const Label = require('./models/Label');
+const { htmlToText } = require('./messageUtils');
+const { escapeRegex } = require('./searchQuery');
+
+// Kích thước email = nội dung + tổng dung lượng tệp đính kèm (byte)
+function emailSize(email) {
+  const attachmentsSize = (email.attachments || []).reduce((sum, a) => sum + (a.size || 0), 0);
+  return Buffer.byteLength(email.body || '') + attachmentsSize;
+}
+
+// Mẫu có dấu * (ví dụ *@vendor.com) khớp toàn bộ địa chỉ; mẫu thường khớp một phần
+function matchesAddress(pattern, address) {
+  const value = (address || '').toLowerCase();
+  pattern = pattern.trim().toLowerCase();
+  if (!pattern.includes('*')) return value.includes(pattern);
+  const regex = new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`);
+  return regex.test(value);
+}
+
+// Danh sách người gửi chặn / an toàn: địa chỉ phải trùng khớp, trừ khi là mẫu có dấu *
+function matchesSenderList(list, address) {
+  const value = (address || '').toLowerCase();
+  return (list || []).some(pattern => (pattern.includes('*') ? matchesAddress(pattern, value) : pattern === value));
+}
+
+// Kiểm tra email có thỏa mọi điều kiện của bộ lọc không
+function matchesFilter(filter, email) {
+  const { from, to, subject, hasWords, hasAttachment, sizeGreaterThan, sizeLessThan } = filter.conditions || {};
+
+  if (from && !matchesAddress(from, email.sender)) return false;
+  if (to && ![...email.recipients, ...(email.cc || [])].some(address => matchesAddress(to, address))) return false;
+  if (subject && !(email.subject || '').toLowerCase().includes(subject.toLowerCase())) return false;
+  if (hasWords) {
+    const text = `${email.subject || ''} ${email.bodyText || htmlToText(email.body)}`.toLowerCase();
+    if (!hasWords.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word))) return false;
+  }
+  if (hasAttachment === true && !(email.attachments && email.attachments.length > 0)) return false;
+  if (hasAttachment === false && email.attachments && email.attachments.length > 0) return false;
+  if (sizeGreaterThan && emailSize(email) <= sizeGreaterThan) return false;
+  if (sizeLessThan && emailSize(email) >= sizeLessThan) return false;
+
+  return true;
+}
+
+/**
+ * Áp dụng hành động của bộ lọc lên mục hộp thư (chưa lưu).
+ * Trả về địa chỉ cần chuyển tiếp, nếu có.
+ */
+async function applyFilterActions(filter, entry) {
+  const actions = filter.actions || {};
+
+  if (actions.labelId && !entry.labels.some(id => id.toString() === actions.labelId.toString())) {
+    entry.labels.push(actions.labelId);
+  }
+  if (actions.markRead) entry.isRead = true;
+  if (actions.star) entry.isStarred = true;
+  if (actions.markImportant) entry.isImportant = true;
+  if (actions.archive && entry.folder === 'inbox') entry.folder = 'archive';
+
+  if (actions.moveTo === 'trash') {
+    entry.moveToTrash();
+  } else if (actions.moveTo === 'spam' && entry.folder !== 'trash') {
+    const spamLabel = await Label.ensureSpamLabel(entry.userId);
+    entry.folder = 'spam';
+    entry.isSpam = true;
+    if (!entry.labels.some(id => id.toString() === spamLabel._id.toString())) entry.labels.push(spamLabel._id);
+  }
+
+  return actions.forwardTo || null;
+}
+
+/**
+ * Chạy các bộ lọc đang bật của người nhận lên mục hộp thư vừa tạo (chưa lưu).
+ * Trả về danh sách địa chỉ cần chuyển tiếp.
+ */
+async function applyUserFilters(entry, email) {
+  const filters = await Filter.find({ userId: entry.userId, enabled: true }).sort({ createdAt: 1 });
+  const forwardTo = [];
+  for (const filter of filters) {
+    if (!matchesFilter(filter, email)) continue;
+    const address = await applyFilterActions(filter, entry);
+    if (address && !forwardTo.includes(address)) forwardTo.push(address);
+  }
+  return forwardTo;
+}
+
+module.exports = { matchesFilter, matchesSenderList, applyFilterActions, applyUserFilters, emailSize };
@@ -0,0 +1,66 @@
+const Email = require('./models/Email');
+const MailboxEntry = require('./models/MailboxEntry');
+const { releaseAttachments } = require('./uploads');
+
+// Số ngày giữ email trong Trash và Spam trước khi bị xóa vĩnh viễn (TRASH_RETENTION_DAYS, mặc định 30)
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+
+// Xóa mục hộp thư; xóa luôn nội dung email khi không còn hộp thư nào tham chiếu
+async function deleteEntry(entry) {
+  const emailId = entry.email._id || entry.email;
+  await MailboxEntry.deleteOne({ _id: entry._id });
+  if (!(await MailboxEntry.exists({ email: emailId }))) {
+    const email = await Email.findByIdAndDelete(emailId);
+    if (email) await releaseAttachments(email.attachments);
+  }
+}
+
+// Xóa vĩnh viễn các mục khớp điều kiện, theo từng đợt; trả về số mục đã xóa
+async function deleteEntries(query) {
+  let deleted = 0;
+  for (;;) {
+    const entries = await MailboxEntry.find(query, 'email').limit(PURGE_BATCH_SIZE);
+    if (entries.length === 0) return deleted;
+    for (const entry of entries) await deleteEntry(entry);
+    deleted += entries.length;
+  }
+}
+
+// Điều kiện các mục Trash / Spam đã quá thời gian lưu giữ
+const expiredQuery = (cutoff) => ({
+  $or: [
+    { folder: 'trash', trashedAt: { $lte: cutoff } },
+    { folder: 'spam', spamAt: { $lte: cutoff } }
+  ]
+});
+
+// Mục chưa có trashedAt / spamAt (có từ trước khi ghi nhận, hoặc được chuyển bằng cập nhật trực tiếp)
+// được coi như vừa chuyển vào, nên vẫn được giữ đủ thời gian lưu giữ
+async function stampUntrackedEntries(now) {
+  await MailboxEntry.updateMany({ folder: 'trash', trashedAt: null }, { trashedAt: now });
+  await MailboxEntry.updateMany({ folder: 'spam', spamAt: null }, { spamAt: now });
+}
+
+// Xóa email trong Trash và Spam đã quá thời gian lưu giữ
+async function purgeExpiredEntries() {
+  try {
+    const now = new Date();
+    await stampUntrackedEntries(now);
+    const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+    const deleted = await deleteEntries(expiredQuery(cutoff));
+    if (deleted > 0) console.log(`Purged ${deleted} emails from trash and spam`);
+  } catch (err) {
+    console.error('Trash purge error:', err.message, err.stack);
+  }
+}
+
+// Khởi động bộ dọn Trash / Spam chạy nền
+function startTrashPurge() {
+  purgeExpiredEntries();
+  setInterval(purgeExpiredEntries, PURGE_INTERVAL_MS);
+}
+
+module.exports = { getRetentionDays, deleteEntry, deleteEntries, purgeExpiredEntries, startTrashPurge };
@@ -0,0 +1,446 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const archiver = require('archiver');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { simpleParser } = require('mailparser');
+const User = require('./models/User');
+const Email = require('./models/Email');
+const MailboxEntry = require('./models/MailboxEntry');
+const Label = require('./models/Label');
+const AutoReply = require('./models/AutoReply');
+const MailboxJob = require('./models/MailboxJob');
+const { buildMimeMessage } = require('./outbound');
+const { emailFromParsed, parsedAddresses } = require('./inbound');
+const { readAttachment } = require('./uploads');
+
+// Thư mục làm việc cho tệp xuất và tệp mbox tải lên (MAILBOX_JOBS_DIR); tệp xuất được giữ EXPORT_RETENTION_HOURS giờ
+const getJobsDir = () => process.env.MAILBOX_JOBS_DIR || path.join(os.tmpdir(), 'email-app-jobs');
+const getUploadDir = () => path.join(getJobsDir(), 'uploads');
+const getExportRetentionMs = () => (parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Gửi tiến độ qua Socket.IO sau mỗi PROGRESS_EVERY email
+const PROGRESS_EVERY = 25;
+
+let jobsIo = null;
+let running = false;
+let rerunRequested = false;
+
+// Thư mục ↔ nhãn hệ thống kiểu Google Takeout (X-Gmail-Labels)
+const FOLDER_TO_GMAIL = {
+  inbox: 'Inbox', sent: 'Sent', draft: 'Drafts', spam: 'Spam', trash: 'Trash',
+  archive: 'Archived', scheduled: 'Scheduled', outbox: 'Scheduled'
+};
+const GMAIL_TO_FOLDER = {
+  inbox: 'inbox', sent: 'sent', draft: 'draft', drafts: 'draft', spam: 'spam', trash: 'trash',
+  archived: 'archive', scheduled: 'draft'
+};
+// Thư mục được ưu tiên khi một email mang nhiều nhãn hệ thống
+const FOLDER_PRIORITY = ['trash', 'spam', 'draft', 'sent', 'inbox', 'archive'];
+
+const safeName = (name) => (name || '').replace(/[^\p{L}\p{N} ._-]+/gu, '_').trim().slice(0, 100) || 'untitled';
+
+function emitProgress(job, userEmail) {
+  if (!jobsIo) return;
+  try {
+    jobsIo.to(userEmail).emit('mailboxJobProgress', {
+      jobId: job._id,
+      type: job.type,
+      status: job.status,
+      processed: job.processed,
+      total: job.total,
+      imported: job.imported,
+      skipped: job.skipped,
+      error: job.error
+    });
+  } catch (wsErr) {
+    console.error('WebSocket error for', userEmail, wsErr.message, wsErr.stack);
+  }
+}
+
+// Dòng phân cách mbox: "From <người gửi> <ngày kiểu asctime>"
+function mboxSeparator(sender, date) {
+  const d = new Date(date || Date.now());
+  const [weekday, day, month, year, time] = d.toUTCString().replace(',', '').split(' ');
+  return `From ${(sender || 'MAILER-DAEMON').replace(/\s+/g, '')} ${weekday} ${month} ${day.padStart(2, ' ')} ${time} ${year}`;
+}
+
+// Định dạng mboxrd: dòng bắt đầu bằng "From " (kể cả đã có dấu >) được thêm một dấu >
+const toMboxChunk = (raw, sender, date) =>
+  `${mboxSeparator(sender, date)}\n${raw.toString().replace(/\r\n/g, '\n').replace(/^(>*From )/gm, '>$1').replace(/\n*$/, '')}\n\n`;
+
+// Đọc lần lượt từng email (chuỗi RFC 5322) trong tệp mbox mà không nạp cả tệp vào bộ nhớ
+async function* readMboxMessages(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let current = null;
+  for await (const line of lines) {
+    if (line.startsWith('From ')) {
+      if (current) yield current.join('\r\n');
+      current = [];
+      continue;
+    }
+    if (current) current.push(line.replace(/^>(>*From )/, '$1'));
+  }
+  if (current) yield current.join('\r\n');
+}
+
+async function countMboxMessages(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let count = 0;
+  for await (const line of lines) {
+    if (line.startsWith('From ')) count += 1;
+  }
+  return count;
+}
+
+// Tách giá trị X-Gmail-Labels: Inbox,Important,"Work, 2024"
+const splitGmailLabels = (value) => (String(value || '').match(/"[^"]*"|[^,]+/g) || [])
+  .map(label => label.trim().replace(/^"|"$/g, ''))
+  .filter(Boolean);
+
+// Nhãn X-Gmail-Labels khi xuất: thư mục, trạng thái và nhãn của người dùng
+function gmailLabelsFor(entry, labelNames) {
+  const labels = [FOLDER_TO_GMAIL[entry.folder] || 'Inbox'];
+  if (entry.isStarred) labels.push('Starred');
+  if (entry.isImportant) labels.push('Important');
+  labels.push(entry.isRead ? 'Opened' : 'Unread');
+  labels.push(...labelNames);
+  return labels.map(label => (label.includes(',') ? `"${label}"` : label)).join(',');
+}
+
+// Thư mục, trạng thái và nhãn khi nhập từ X-Gmail-Labels; email không có header này vào defaultFolder
+function importOptionsFor(parsed, defaultFolder) {
+  const header = parsed.headers.get('x-gmail-labels');
+  if (!header) return { folder: defaultFolder };
+
+  const options = { folders: [], labelNames: [], isRead: true, isStarred: false, isImportant: false };
+  for (const label of splitGmailLabels(header)) {
+    const lower = label.toLowerCase();
+    if (GMAIL_TO_FOLDER[lower]) options.folders.push(GMAIL_TO_FOLDER[lower]);
+    else if (lower === 'starred') options.isStarred = true;
+    else if (lower === 'important') options.isImportant = true;
+    else if (lower === 'unread') options.isRead = false;
+    else if (lower === 'opened' || lower === 'chat' || lower.startsWith('category ')) continue;
+    else options.labelNames.push(label);
+  }
+  // Email Gmail không có nhãn Inbox là email đã lưu trữ
+  options.folder = FOLDER_PRIORITY.find(folder => options.folders.includes(folder)) || 'archive';
+  delete options.folders;
+  return options;
+}
+
+// Tìm hoặc tạo nhãn của người dùng theo tên (không phân biệt hoa thường)
+async function resolveLabels(userId, names) {
+  if (names.length === 0) return [];
+  const existing = await Label.find({ userId });
+  const ids = [];
+  for (const name of names) {
+    let label = existing.find(l => l.name.toLowerCase() === name.toLowerCase());
+    if (!label) {
+      label = await new Label({ userId, name }).save();
+      existing.push(label);
+    }
+    ids.push(label._id);
+  }
+  return ids;
+}
+
+/**
+ * Lưu một email đã phân tích vào hộp thư của người dùng, giữ nguyên ngày gửi, người gửi và tệp đính kèm.
+ * Trả về null nếu email (cùng Message-ID) đã có trong hộp thư.
+ */
+async function importParsedMessage(user, parsed, { folder = 'inbox', labelNames = [], isRead = true, isStarred = false, isImportant = false } = {}) {
+  if (parsed.messageId) {
+    const existingEmails = await Email.find({ messageId: parsed.messageId }, '_id');
+    if (await MailboxEntry.exists({ userId: user._id, email: { $in: existingEmails.map(e => e._id) } })) return null;
+  }
+
+  const email = await emailFromParsed(parsed);
+  email.bcc = parsedAddresses(parsed.bcc);
+  if (parsed.date && !isNaN(parsed.date.getTime())) email.sentAt = parsed.date;
+  if (folder === 'draft') email.draftSavedAt = email.sentAt;
+  await email.save();
+
+  const userEmail = user.email.toLowerCase();
+  const hasAddress = (list) => list.some(address => address.toLowerCase() === userEmail);
+  let role = 'to';
+  if (email.sender.toLowerCase() === userEmail) role = 'sender';
+  else if (!hasAddress(email.recipients) && hasAddress(email.cc)) role = 'cc';
+  else if (!hasAddress(email.recipients) && hasAddress(email.bcc)) role = 'bcc';
+
+  const labels = await resolveLabels(user._id, labelNames);
+  if (folder === 'spam') {
+    const spamLabel = await Label.ensureSpamLabel(user._id);
+    if (!labels.some(id => id.toString() === spamLabel._id.toString())) labels.push(spamLabel._id);
+  }
+
+  const entry = new MailboxEntry({
+    userId: user._id,
+    email: email._id,
+    role,
+    folder,
+    labels,
+    isRead,
+    isStarred,
+    isImportant,
+    isSpam: folder === 'spam',
+    threadId: email.threadId,
+    sentAt: email.sentAt
+  });
+  await entry.save();
+  return entry;
+}
+
+// Ghi một email vào mbox của thư mục và của từng nhãn; tệp đính kèm được tải về một lần và dùng cho cả hai
+async function exportEntry(entry, user, workDir, labelsById) {
+  const email = entry.email;
+  const attachmentFiles = [];
+  const mimeAttachments = [];
+
+  for (const [i, attachment] of email.attachments.entries()) {
+    if (attachment.quarantined) continue;
+    try {
+      const content = await readAttachment(attachment);
+      const file = path.join('attachments', entry._id.toString(), `${i + 1}-${safeName(attachment.filename)}`);
+      await fsp.mkdir(path.join(workDir, path.dirname(file)), { recursive: true });
+      await fsp.writeFile(path.join(workDir, file), content);
+      attachmentFiles.push(file);
+      mimeAttachments.push({ filename: attachment.filename, contentType: attachment.contentType, content });
+    } catch (err) {
+      console.warn(`Export: attachment ${attachment.url} of ${entry._id} unavailable: ${err.message}`);
+    }
+  }
+
+  const labelNames = entry.labels
+    .map(id => labelsById.get(id.toString()))
+    .filter(label => label && !label.isSystemLabel)
+    .map(label => label.name);
+
+  const message = buildMimeMessage(email, { attachments: mimeAttachments });
+  const bcc = entry.visibleBcc(user.email);
+  if (bcc.length > 0) message.bcc = bcc;
+  // Header kiểu Google Takeout để tệp mbox có thể nhập lại với đúng thư mục và nhãn
+  message.headers = { ...message.headers, 'X-Gmail-Labels': gmailLabelsFor(entry, labelNames) };
+
+  const mail = new MailComposer(message).compile();
+  mail.keepBcc = true;
+  const chunk = toMboxChunk(await mail.build(), email.sender, email.sentAt);
+
+  await fsp.appendFile(path.join(workDir, 'folders', `${entry.folder}.mbox`), chunk);
+  for (const name of labelNames) {
+    await fsp.appendFile(path.join(workDir, 'labels', `${safeName(name)}.mbox`), chunk);
+  }
+
+  return {
+    id: entry._id,
+    messageId: email.messageId,
+    subject: email.subject,
+    sentAt: email.sentAt,
+    folder: entry.folder,
+    labels: labelNames,
+    isRead: entry.isRead,
+    isStarred: entry.isStarred,
+    isImportant: entry.isImportant,
+    attachments: attachmentFiles
+  };
+}
+
+// Nén thư mục làm việc thành tệp .zip
+function zipDirectory(sourceDir, zipPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.directory(sourceDir, false);
+    archive.finalize();
+  });
+}
+
+/**
+ * Xuất toàn bộ hộp thư: folders/<thư mục>.mbox, labels/<nhãn>.mbox, attachments/ và manifest.json
+ * (hồ sơ, nhãn, Auto Reply và danh sách email).
+ */
+async function runExport(job, user) {
+  const workDir = path.join(getJobsDir(), job._id.toString());
+  await fsp.rm(workDir, { recursive: true, force: true });
+  await fsp.mkdir(path.join(workDir, 'folders'), { recursive: true });
+  await fsp.mkdir(path.join(workDir, 'labels'), { recursive: true });
+
+  const labels = await Label.find({ userId: user._id });
+  const labelsById = new Map(labels.map(label => [label._id.toString(), label]));
+  job.total = await MailboxEntry.countDocuments({ userId: user._id });
+  await job.save();
+
+  const messages = [];
+  const cursor = MailboxEntry.find({ userId: user._id }).sort({ sentAt: 1 }).populate('email').cursor();
+  for await (const entry of cursor) {
+    if (entry.email) messages.push(await exportEntry(entry, user, workDir, labelsById));
+    job.processed += 1;
+    if (job.processed % PROGRESS_EVERY === 0) {
+      await job.save();
+      emitProgress(job, user.email);
+    }
+  }
+
+  const autoReply = await AutoReply.findOne({ userId: user._id });
+  const manifest = {
+    exportedAt: new Date(),
+    profile: {
+      phone: user.phone,
+      email: user.email,
+      name: user.name,
+      picture: user.picture,
+      twoFactorEnabled: user.twoFactorEnabled,
+      undoSendSeconds: user.undoSendSeconds,
+      blockedSenders: user.blockedSenders,
+      safeSenders: user.safeSenders,
+      blockedSenderAction: user.blockedSenderAction
+    },
+    labels: labels.map(({ name, isSystemLabel, createdAt }) => ({ name, isSystemLabel, createdAt })),
+    autoReply: autoReply ? autoReply.toSettings() : null,
+    messages
+  };
+  await fsp.writeFile(path.join(workDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  const zipPath = `${workDir}.zip`;
+  await zipDirectory(workDir, zipPath);
+  await fsp.rm(workDir, { recursive: true, force: true });
+
+  job.filePath = zipPath;
+  job.expiresAt = new Date(Date.now() + getExportRetentionMs());
+}
+
+// Nhập tệp mbox (ví dụ từ Google Takeout): tạo lại email, thư mục và nhãn
+async function runImport(job, user) {
+  job.total = await countMboxMessages(job.filePath);
+  await job.save();
+
+  for await (const raw of readMboxMessages(job.filePath)) {
+    try {
+      const parsed = await simpleParser(raw, { keepCidLinks: true });
+      const entry = await importParsedMessage(user, parsed, importOptionsFor(parsed, job.defaultFolder));
+      if (entry) job.imported += 1;
+      else job.skipped += 1;
+    } catch (err) {
+      console.warn(`Mbox import job ${job._id}: message ${job.processed + 1} skipped: ${err.message}`);
+      job.skipped += 1;
+    }
+    job.processed += 1;
+    if (job.processed % PROGRESS_EVERY === 0) {
+      await job.save();
+      emitProgress(job, user.email);
+    }
+  }
+
+  await removeImportFile(job);
+}
+
+// Xóa tệp mbox đã tải lên khi tác vụ nhập kết thúc (thành công hoặc thất bại)
+async function removeImportFile(job) {
+  if (job.type !== 'import' || !job.filePath) return;
+  await fsp.rm(job.filePath, { force: true });
+  job.filePath = undefined;
+}
+
+async function runJob(job) {
+  const user = await User.findById(job.userId);
+  if (!user) {
+    job.status = 'failed';
+    job.error = 'User not found';
+    await removeImportFile(job);
+    await job.save();
+    return;
+  }
+
+  // Chạy lại từ đầu (kể cả tác vụ bị gián đoạn khi server tắt); email đã nhập được bỏ qua theo Message-ID
+  Object.assign(job, { processed: 0, imported: 0, skipped: 0, error: undefined });
+  await job.save();
+  emitProgress(job, user.email);
+
+  try {
+    if (job.type === 'export') await runExport(job, user);
+    else await runImport(job, user);
+    job.status = 'completed';
+    job.completedAt = new Date();
+  } catch (err) {
+    console.error(`Mailbox ${job.type} job ${job._id} error:`, err.message, err.stack);
+    job.status = 'failed';
+    job.error = err.message;
+    await removeImportFile(job).catch(rmErr => console.error('Remove import file error:', rmErr.message, rmErr.stack));
+  }
+  await job.save();
+  emitProgress(job, user.email);
+}
+
+// Chạy lần lượt từng tác vụ đang chờ (một tác vụ mỗi lúc)
+async function processQueuedJobs() {
+  if (running) {
+    rerunRequested = true;
+    return;
+  }
+  running = true;
+  try {
+    let job;
+    while ((job = await MailboxJob.findOneAndUpdate(
+      { status: 'queued' },
+      { status: 'running' },
+      { sort: { createdAt: 1 }, new: true }
+    ))) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('Mailbox job queue error:', err.message, err.stack);
+  } finally {
+    running = false;
+  }
+  if (rerunRequested) {
+    rerunRequested = false;
+    await processQueuedJobs();
+  }
+}
+
+// Tạo tác vụ xuất / nhập và bắt đầu xử lý nền
+async function enqueueMailboxJob(fields) {
+  const job = await new MailboxJob(fields).save();
+  setImmediate(processQueuedJobs);
+  return job;
+}
+
+// Xóa tệp xuất đã hết hạn
+async function cleanupExpiredExports() {
+  try {
+    const expired = await MailboxJob.find({ type: 'export', filePath: { $exists: true }, expiresAt: { $lte: new Date() } });
+    for (const job of expired) {
+      await fsp.rm(job.filePath, { force: true });
+      job.filePath = undefined;
+      await job.save();
+    }
+  } catch (err) {
+    console.error('Export cleanup error:', err.message, err.stack);
+  }
+}
+
+// Khởi động bộ xử lý tác vụ; tác vụ đang chạy khi server tắt được chạy lại
+async function startMailboxJobs(io) {
+  jobsIo = io;
+  try {
+    await MailboxJob.updateMany({ status: 'running' }, { status: 'queued' });
+  } catch (err) {
+    console.error('Mailbox job recovery error:', err.message, err.stack);
+  }
+  processQueuedJobs();
+  cleanupExpiredExports();
+  setInterval(cleanupExpiredExports, 60 * 60 * 1000);
+}
+
+module.exports = {
+  startMailboxJobs,
+  enqueueMailboxJob,
+  importParsedMessage,
+  getUploadDir
+};
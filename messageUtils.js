@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Domain dùng cho Message-ID (có thể cấu hình qua MAIL_DOMAIN)
+const getMailDomain = () => process.env.MAIL_DOMAIN || 'email-app.local';
+
+// Tạo Message-ID theo định dạng RFC 5322: <chuỗi-ngẫu-nhiên@domain>
+function generateMessageId() {
+  return `<${Date.now().toString(36)}.${crypto.randomBytes(8).toString('hex')}@${getMailDomain()}>`;
+}
+
+// Tạo mã hội thoại mới cho email không trả lời email nào
+function generateThreadId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+// Tính các trường hội thoại cho email trả lời/chuyển tiếp từ email gốc
+function buildThreadFields(originalEmail) {
+  const references = [...(originalEmail.references || [])];
+  if (originalEmail.messageId && !references.includes(originalEmail.messageId)) {
+    references.push(originalEmail.messageId);
+  }
+  return {
+    messageId: generateMessageId(),
+    threadId: originalEmail.threadId || originalEmail._id.toString(),
+    inReplyTo: originalEmail.messageId,
+    references
+  };
+}
+
+// Chuyển nội dung HTML thành văn bản thuần
+function htmlToText(html) {
+  return (html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Escape HTML trước khi chèn văn bản vào nội dung email hoặc đoạn trích
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Đoạn trích ngắn dùng cho danh sách hội thoại
+function makeSnippet(html, length = 120) {
+  const text = htmlToText(html).replace(/\s+/g, ' ');
+  return text.length > length ? `${text.slice(0, length).trimEnd()}…` : text;
+}
+
+module.exports = {
+  getMailDomain,
+  generateMessageId,
+  generateThreadId,
+  buildThreadFields,
+  htmlToText,
+  escapeHtml,
+  makeSnippet
+};
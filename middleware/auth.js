@@ -0,0 +1,30 @@
+const { verifyAccessToken } = require('../sessions');
+
+// Xác thực access token và phiên đăng nhập, gắn người dùng vào req.user và ID phiên vào req.sessionId
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+  try {
+    const { user, session } = await verifyAccessToken(token);
+    if (!session) return res.status(401).json({ error: 'Session expired or revoked' });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+  } catch (err) {
+    // Access token hết hạn là bình thường: client gọi /api/auth/refresh để lấy token mới
+    if (err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    console.error('Token verification error:', err.message, err.stack);
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Kiểm tra email đã được xác minh
+const ensureEmailVerified = async (req, res, next) => {
+  if (!req.user.email || !req.user.isEmailVerified) {
+    return res.status(400).json({ error: 'Verified email required to perform this action' });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, ensureEmailVerified };
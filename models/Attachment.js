@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Nội dung tệp đính kèm trong storage, dùng chung cho mọi email có cùng nội dung (theo SHA-256)
+const attachmentSchema = new mongoose.Schema({
+  hash: { type: String, required: true, unique: true }, // SHA-256 của nội dung tệp
+  storageKey: { type: String, required: true },
+  size: { type: Number, required: true },
+  contentType: { type: String, default: 'application/octet-stream' },
+  refCount: { type: Number, default: 1 }, // Số lần được tham chiếu trong Email.attachments
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
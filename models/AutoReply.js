@@ -3,8 +3,37 @@ const mongoose = require('mongoose');
 const autoReplySchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   enabled: { type: Boolean, default: false },
-  message: { type: String, default: 'Thank you for your email. I am currently unavailable and will respond soon.' },
+  // Khoảng thời gian có hiệu lực; bỏ trống nghĩa là không giới hạn
+  startAt: { type: Date },
+  endAt: { type: Date },
+  subject: { type: String, default: '' }, // Bỏ trống: "Auto Reply: <tiêu đề email gốc>"
+  message: { type: String, default: 'Thank you for your email. I am currently unavailable and will respond soon.' }, // Nội dung HTML
+  replyIntervalDays: { type: Number, default: 4, min: 1, max: 365 }, // Mỗi người gửi chỉ nhận một lần trong N ngày
+  contactsOnly: { type: Boolean, default: false }, // Chỉ trả lời người mình đã từng gửi email
+  internalOnly: { type: Boolean, default: false }, // Chỉ trả lời người dùng trong hệ thống
   updatedAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('AutoReply', autoReplySchema);
\ No newline at end of file
+// Auto Reply đang có hiệu lực tại thời điểm `now`
+autoReplySchema.methods.isActive = function (now = new Date()) {
+  if (!this.enabled) return false;
+  if (this.startAt && now < this.startAt) return false;
+  if (this.endAt && now > this.endAt) return false;
+  return true;
+};
+
+autoReplySchema.methods.toSettings = function () {
+  return {
+    enabled: this.enabled,
+    startAt: this.startAt || null,
+    endAt: this.endAt || null,
+    subject: this.subject,
+    message: this.message,
+    replyIntervalDays: this.replyIntervalDays,
+    contactsOnly: this.contactsOnly,
+    internalOnly: this.internalOnly,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('AutoReply', autoReplySchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Lần gần nhất người dùng đã gửi Auto Reply tới một địa chỉ, dùng để giới hạn mỗi người gửi một lần trong N ngày
+const autoReplyLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  address: { type: String, required: true, lowercase: true },
+  lastRepliedAt: { type: Date, default: Date.now }
+});
+
+autoReplyLogSchema.index({ userId: 1, address: 1 }, { unique: true });
+
+module.exports = mongoose.model('AutoReplyLog', autoReplyLogSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../searchQuery');
+
+// Danh bạ của người dùng; liên hệ được tạo thủ công, nhập từ vCard hoặc tự động khi gửi email
+const contactSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, trim: true, default: '' },
+  emails: [{ type: String, lowercase: true, trim: true }],
+  phone: { type: String, trim: true },
+  notes: { type: String },
+  avatar: { type: String }, // URL ảnh đại diện
+  avatarKey: { type: String }, // Key của ảnh đại diện trong storage (khi được tải lên)
+  source: { type: String, enum: ['manual', 'auto', 'import'], default: 'manual' },
+  timesContacted: { type: Number, default: 0 }, // Số lần người dùng gửi email tới liên hệ
+  lastContactedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Mỗi địa chỉ chỉ thuộc một liên hệ trong danh bạ của một người dùng
+contactSchema.index({ userId: 1, emails: 1 }, { unique: true });
+contactSchema.index({ userId: 1, name: 1 });
+
+/**
+ * Ghi nhận người dùng vừa gửi email tới các địa chỉ: tăng số lần liên hệ, hoặc tạo liên hệ mới
+ * (tên lấy từ hồ sơ nếu địa chỉ là người dùng trong hệ thống).
+ */
+contactSchema.statics.recordSent = async function (user, addresses) {
+  const User = mongoose.model('User');
+  const now = new Date();
+  const unique = [...new Set(addresses.map(address => address.trim().toLowerCase()))]
+    .filter(address => address && address !== (user.email || '').toLowerCase());
+
+  for (const address of unique) {
+    const update = { $inc: { timesContacted: 1 }, $set: { lastContactedAt: now } };
+    const existing = await this.findOneAndUpdate({ userId: user._id, emails: address }, update);
+    if (existing) continue;
+
+    const registered = await User.findOne({ email: new RegExp(`^${escapeRegex(address)}$`, 'i') }, 'name');
+    try {
+      await this.create({
+        userId: user._id,
+        name: (registered && registered.name) || '',
+        emails: [address],
+        source: 'auto',
+        timesContacted: 1,
+        lastContactedAt: now
+      });
+    } catch (err) {
+      // Một yêu cầu khác vừa tạo liên hệ cho địa chỉ này
+      if (err.code !== 11000) throw err;
+      await this.updateOne({ userId: user._id, emails: address }, update);
+    }
+  }
+};
+
+contactSchema.methods.toView = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    emails: this.emails,
+    phone: this.phone || '',
+    notes: this.notes || '',
+    avatar: this.avatar || null,
+    source: this.source,
+    timesContacted: this.timesContacted,
+    lastContactedAt: this.lastContactedAt || null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Nhóm liên hệ của người dùng; khi soạn email có thể dùng "group:<id hoặc tên>" thay cho danh sách địa chỉ
+const contactGroupSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  contactIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }], // Liên hệ trong danh bạ (dùng địa chỉ đầu tiên)
+  emails: [{ type: String, lowercase: true, trim: true }], // Địa chỉ không có trong danh bạ
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Tên nhóm không trùng trong danh bạ của một người dùng (không phân biệt hoa thường)
+contactGroupSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'vi', strength: 2 } });
+
+// Tìm nhóm của người dùng theo ID hoặc tên
+contactGroupSchema.statics.findByReference = function (userId, reference) {
+  if (mongoose.isValidObjectId(reference)) {
+    return this.findOne({ userId, _id: reference });
+  }
+  return this.findOne({ userId, name: reference }).collation({ locale: 'vi', strength: 2 });
+};
+
+// Địa chỉ của các thành viên trong nhóm (đã loại bỏ trùng lặp)
+contactGroupSchema.methods.memberAddresses = async function () {
+  const Contact = mongoose.model('Contact');
+  const contacts = await Contact.find({ _id: { $in: this.contactIds }, userId: this.userId }, 'emails');
+  const addresses = [
+    ...contacts.map(contact => contact.emails[0]).filter(Boolean),
+    ...this.emails
+  ];
+  return [...new Set(addresses)];
+};
+
+contactGroupSchema.methods.toView = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    contactIds: this.contactIds,
+    emails: this.emails,
+    memberCount: this.contactIds.length + this.emails.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('ContactGroup', contactGroupSchema);
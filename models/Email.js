@@ -1,28 +1,56 @@
 const mongoose = require('mongoose');
+const { htmlToText } = require('../messageUtils');
 
+// Nội dung email dùng chung cho người gửi và mọi người nhận.
+// Trạng thái riêng của từng người (thư mục, đã đọc, gắn sao, nhãn, spam) nằm trong models/MailboxEntry.js
 const emailSchema = new mongoose.Schema({
   sender: { type: String, required: true }, // Email của người gửi
   recipients: [{ type: String, required: true }], // Email của người nhận (To)
   cc: [{ type: String }], // Email của người nhận CC
   bcc: [{ type: String }], // Email của người nhận BCC
-  subject: { type: String, required: true },
-  body: { type: String, required: true }, // Nội dung HTML từ WYSIWYG editor
+  // Nhóm liên hệ người gửi đã dùng khi soạn (chỉ hiển thị cho người gửi)
+  recipientGroups: [{
+    _id: false,
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'ContactGroup' },
+    name: { type: String },
+    field: { type: String, enum: ['recipients', 'cc', 'bcc'] }
+  }],
+  // Bản nháp có thể chưa có tiêu đề/nội dung; route gửi email kiểm tra trước khi gửi
+  subject: { type: String, default: '' },
+  body: { type: String, default: '' }, // Nội dung HTML từ WYSIWYG editor
+  bodyText: { type: String, default: '' }, // Nội dung dạng văn bản thuần, dùng cho chỉ mục tìm kiếm
   attachments: [{ 
-    url: { type: String }, // URL từ Cloudinary
+    url: { type: String }, // /api/email/attachments/:id, hoặc URL công khai với tệp tải lên trước đây
     filename: { type: String },
-    size: { type: Number } // Kích thước tệp (byte)
+    size: { type: Number }, // Kích thước tệp (byte)
+    contentType: { type: String },
+    attachmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Attachment', index: true },
+    storageKey: { type: String, index: true }, // Tệp tải lên trước khi có model Attachment, hoặc tệp bị cách ly
+    quarantined: { type: Boolean }, // Tệp bị chính sách đính kèm chặn, không thể tải hay gửi tiếp
+    blockedReason: { type: String }
   }],
-  folder: { 
-    type: String, 
-    enum: ['inbox', 'sent', 'draft', 'starred', 'trash', 'spam'], // Added 'spam' to enum
-    default: 'inbox' 
-  },
-  labels: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Label' }], // Nhãn tùy chỉnh
-  isRead: { type: Boolean, default: false },
-  isStarred: { type: Boolean, default: false },
-  isSpam: { type: Boolean, default: false }, // New field to track spam status
   sentAt: { type: Date, default: Date.now },
-  draftSavedAt: { type: Date } // Thời gian lưu bản nháp
+  draftSavedAt: { type: Date }, // Thời gian lưu bản nháp
+  scheduledAt: { type: Date }, // Thời gian hẹn gửi (chỉ có khi email đang chờ gửi)
+  failedRecipients: [{ type: String }], // Người nhận chưa nhận được khi phát email hẹn giờ bị lỗi giữa chừng
+  messageId: { type: String, index: true }, // Message-ID theo RFC 5322
+  threadId: { type: String, index: true }, // Mã hội thoại để nhóm email trả lời/chuyển tiếp
+  inReplyTo: { type: String }, // Message-ID của email được trả lời
+  references: [{ type: String }], // Chuỗi Message-ID của các email trước trong hội thoại
+  autoSubmitted: { type: String }, // Header Auto-Submitted (RFC 3834) của email tự động, ví dụ auto-replied
+  isBulk: { type: Boolean, default: false } // Email gửi hàng loạt (Precedence: bulk/list, List-Id)
+});
+
+// Chỉ mục toàn văn cho tìm kiếm, tiêu đề có trọng số cao nhất
+emailSchema.index(
+  { subject: 'text', bodyText: 'text', 'attachments.filename': 'text' },
+  { weights: { subject: 5, 'attachments.filename': 2, bodyText: 1 }, name: 'email_text_search' }
+);
+
+// Cập nhật văn bản thuần mỗi khi nội dung HTML thay đổi
+emailSchema.pre('save', function (next) {
+  if (this.isModified('body')) this.bodyText = htmlToText(this.body);
+  next();
 });
 
 module.exports = mongoose.model('Email', emailSchema);
\ No newline at end of file
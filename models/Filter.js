@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Bộ lọc thư do người dùng định nghĩa, áp dụng khi email được phát tới hộp thư
+const filterSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String },
+  enabled: { type: Boolean, default: true },
+  conditions: {
+    from: { type: String }, // Hỗ trợ ký tự đại diện, ví dụ *@vendor.com
+    to: { type: String }, // Khớp với người nhận To hoặc CC
+    subject: { type: String },
+    hasWords: { type: String }, // Mọi từ phải xuất hiện trong tiêu đề hoặc nội dung
+    hasAttachment: { type: Boolean },
+    sizeGreaterThan: { type: Number }, // byte
+    sizeLessThan: { type: Number } // byte
+  },
+  actions: {
+    labelId: { type: mongoose.Schema.Types.ObjectId, ref: 'Label' },
+    archive: { type: Boolean, default: false }, // Bỏ qua Inbox
+    markRead: { type: Boolean, default: false },
+    star: { type: Boolean, default: false },
+    markImportant: { type: Boolean, default: false },
+    moveTo: { type: String, enum: ['spam', 'trash'] },
+    forwardTo: { type: String } // Email của một người dùng nội bộ khác
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Filter', filterSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Trạng thái hộp thư của từng người dùng đối với một email dùng chung (models/Email.js)
+const mailboxEntrySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', required: true },
+  // Vai trò của người dùng trong email: người gửi, To, CC hoặc BCC
+  role: { type: String, enum: ['sender', 'to', 'cc', 'bcc'], required: true },
+  folder: {
+    type: String,
+    // 'outbox': email vừa gửi đang chờ hết thời gian hoàn tác; 'archive': đã lưu trữ, không nằm trong Inbox
+    enum: ['inbox', 'sent', 'draft', 'starred', 'trash', 'spam', 'scheduled', 'outbox', 'archive'],
+    default: 'inbox'
+  },
+  labels: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Label' }], // Nhãn tùy chỉnh
+  isRead: { type: Boolean, default: false },
+  isStarred: { type: Boolean, default: false },
+  isImportant: { type: Boolean, default: false },
+  isSpam: { type: Boolean, default: false },
+  spamScore: { type: Number }, // Điểm spam (0..1) khi nhận email
+  spamTrainedAs: { type: Boolean }, // Nhãn người dùng đã dạy cho bộ phân loại spam (true: spam), nếu có
+  previousFolder: { type: String }, // Thư mục trước khi chuyển vào Trash, dùng khi khôi phục
+  trashedAt: { type: Date }, // Thời điểm vào Trash / Spam, dùng để tự động xóa sau thời gian lưu giữ
+  spamAt: { type: Date },
+  threadId: { type: String }, // Sao chép từ email để nhóm hội thoại theo người dùng
+  sentAt: { type: Date, default: Date.now } // Sao chép từ email để sắp xếp (với email hẹn gửi: thời gian hẹn)
+});
+
+mailboxEntrySchema.index({ userId: 1, folder: 1, sentAt: -1 });
+mailboxEntrySchema.index({ userId: 1, threadId: 1 });
+mailboxEntrySchema.index({ email: 1, userId: 1 });
+mailboxEntrySchema.index({ folder: 1, sentAt: 1 }); // Bộ hẹn giờ tìm email đến hạn gửi
+mailboxEntrySchema.index({ folder: 1, trashedAt: 1 }); // Tự động xóa Trash
+mailboxEntrySchema.index({ folder: 1, spamAt: 1 }); // Tự động xóa Spam
+
+// Ghi lại thời điểm email vào Trash / Spam; rời khỏi thư mục đó thì xóa mốc thời gian
+mailboxEntrySchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('folder')) {
+    if (this.folder === 'trash') {
+      this.trashedAt = this.trashedAt || new Date();
+    } else {
+      this.trashedAt = undefined;
+      this.previousFolder = undefined;
+    }
+    this.spamAt = this.folder === 'spam' ? this.spamAt || new Date() : undefined;
+  }
+  next();
+});
+
+// Chuyển vào Trash, nhớ thư mục hiện tại để khôi phục
+mailboxEntrySchema.methods.moveToTrash = function () {
+  if (this.folder === 'trash') return;
+  this.previousFolder = this.folder;
+  this.folder = 'trash';
+  this.trashedAt = new Date();
+};
+
+// BCC chỉ hiển thị đầy đủ cho người gửi; người nhận BCC chỉ thấy chính mình
+mailboxEntrySchema.methods.visibleBcc = function (userEmail) {
+  if (this.role === 'sender') return this.email.bcc || [];
+  if (this.role === 'bcc') return [userEmail];
+  return [];
+};
+
+// Thông tin tệp đính kèm gửi cho client; khóa lưu trữ nội bộ và chi tiết cách ly không bao giờ lộ ra ngoài.
+// Tệp bị chặn chỉ có cờ blocked, không có URL tải
+const attachmentView = (attachment) => ({
+  _id: attachment._id,
+  filename: attachment.filename,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  url: attachment.quarantined ? undefined : attachment.url,
+  blocked: Boolean(attachment.quarantined)
+});
+
+// Gộp nội dung email dùng chung với trạng thái hộp thư (yêu cầu đã populate 'email')
+mailboxEntrySchema.methods.toView = function (userEmail, { includeBody = true } = {}) {
+  const email = this.email;
+  const view = {
+    _id: this._id,
+    sender: email.sender,
+    recipients: email.recipients,
+    cc: email.cc,
+    bcc: this.visibleBcc(userEmail),
+    subject: email.subject,
+    attachments: (email.attachments || []).map(attachmentView),
+    sentAt: email.sentAt,
+    draftSavedAt: email.draftSavedAt,
+    scheduledAt: email.scheduledAt,
+    messageId: email.messageId,
+    threadId: email.threadId,
+    inReplyTo: email.inReplyTo,
+    references: email.references,
+    folder: this.folder,
+    labels: this.labels,
+    isRead: this.isRead,
+    isStarred: this.isStarred,
+    isImportant: this.isImportant,
+    isSpam: this.isSpam,
+    spamScore: this.spamScore
+  };
+  if (this.role === 'sender') view.recipientGroups = email.recipientGroups || [];
+  if (includeBody) view.body = email.body;
+  return view;
+};
+
+module.exports = mongoose.model('MailboxEntry', mailboxEntrySchema);
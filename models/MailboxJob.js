@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Tác vụ xuất / nhập toàn bộ hộp thư chạy nền
+const mailboxJobSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['export', 'import'], required: true },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+  processed: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  // export: đường dẫn tệp .zip đã tạo; import: tệp mbox đã tải lên
+  filePath: { type: String },
+  // import: thư mục mặc định cho email không có X-Gmail-Labels
+  defaultFolder: { type: String, default: 'inbox' },
+  imported: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  error: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  expiresAt: { type: Date } // Tệp xuất bị xóa sau thời điểm này
+});
+
+mailboxJobSchema.index({ userId: 1, createdAt: -1 });
+mailboxJobSchema.index({ status: 1 });
+
+module.exports = mongoose.model('MailboxJob', mailboxJobSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Trạng thái gửi email tới một địa chỉ bên ngoài hệ thống qua SMTP relay
+const outboundDeliverySchema = new mongoose.Schema({
+  email: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', required: true },
+  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  address: { type: String, required: true },
+  // queued: chờ gửi / chờ thử lại; sending: đang gửi; sent: relay đã nhận; failed: đã trả về người gửi
+  status: { type: String, enum: ['queued', 'sending', 'sent', 'failed'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  responseCode: { type: Number },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+outboundDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+outboundDeliverySchema.index({ email: 1 });
+
+module.exports = mongoose.model('OutboundDelivery', outboundDeliverySchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Bộ đếm giới hạn tần suất (rateLimit/mongoStore.js): số lần trong cửa sổ hiện tại, hết cửa sổ thì MongoDB tự xóa
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Phiên đăng nhập: mỗi thiết bị giữ một refresh token, đổi token mới sau mỗi lần làm mới.
+// Thu hồi phiên = xóa bản ghi; access token của phiên đó bị từ chối ngay ở middleware/auth.js
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 của refresh token hiện tại
+  previousTokenHash: { type: String }, // Token vừa bị thay; dùng lại token này nghĩa là token đã bị lộ
+  device: { type: String, default: '' }, // Trình duyệt / hệ điều hành đọc từ User-Agent
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// MongoDB tự xóa phiên hết hạn
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.toView = function (currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this._id.equals(currentSessionId)
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Tổng số email đã huấn luyện của mô hình phân loại spam (userId = null: mô hình chung)
+const spamModelSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  spamCount: { type: Number, default: 0 },
+  hamCount: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+spamModelSchema.index({ userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SpamModel', spamModelSchema);
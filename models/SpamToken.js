@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Số lần một token xuất hiện trong email spam / không phải spam của một mô hình (userId = null: mô hình chung)
+const spamTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  token: { type: String, required: true },
+  spamCount: { type: Number, default: 0 },
+  hamCount: { type: Number, default: 0 }
+});
+
+spamTokenSchema.index({ userId: 1, token: 1 }, { unique: true });
+
+module.exports = mongoose.model('SpamToken', spamTokenSchema);
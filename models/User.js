@@ -6,22 +6,47 @@ const userSchema = new mongoose.Schema({
   email: { type: String, unique: true, sparse: true }, // Email không bắt buộc khi đăng ký
   name: { type: String },
   picture: { type: String },
+  pictureKey: { type: String }, // Key của ảnh đại diện trong storage, dùng để xóa ảnh cũ
   twoFactorEnabled: { type: Boolean, default: false },
+  // TOTP (ứng dụng xác thực): khóa đang chờ xác nhận, khóa đã kích hoạt và bước thời gian của mã dùng gần nhất
+  totpEnabled: { type: Boolean, default: false },
+  totpSecret: { type: String },
+  totpPendingSecret: { type: String },
+  totpLastUsedStep: { type: Number },
+  // Mã khôi phục dùng một lần (chỉ lưu SHA-256)
+  recoveryCodes: [{ _id: false, hash: { type: String }, usedAt: { type: Date, default: null } }],
   isEmailVerified: { type: Boolean, default: false }, // Thêm trường để theo dõi trạng thái xác minh email
+  // Địa chỉ mới đang chờ xác minh (xem emailVerification.js); email hiện tại vẫn dùng được cho tới khi xác nhận
+  pendingEmail: { type: String, trim: true },
+  emailVerification: {
+    nonce: { type: String }, // Gắn với liên kết đã ký; yêu cầu mới làm liên kết cũ hết hiệu lực
+    otpHash: { type: String },
+    expiresAt: { type: Date },
+    attempts: { type: Number, default: 0 }
+  },
   otp: { type: String },
-  otpExpires: { type: Date }
+  otpExpires: { type: Date },
+  otpPurpose: { type: String, enum: ['login', 'reset', '2fa'] }, // OTP chỉ dùng được cho đúng thao tác đã yêu cầu
+  otpAttempts: { type: Number, default: 0 }, // Số lần nhập sai OTP hiện tại
+  undoSendSeconds: { type: Number, default: 0 }, // Thời gian có thể hoàn tác sau khi gửi (0 = tắt)
+  // Người gửi bị chặn / an toàn (địa chỉ đầy đủ hoặc mẫu dạng *@domain.com)
+  blockedSenders: [{ type: String, lowercase: true, trim: true }],
+  safeSenders: [{ type: String, lowercase: true, trim: true }],
+  // Email từ người gửi bị chặn: chuyển vào Spam hoặc bỏ luôn
+  blockedSenderAction: { type: String, enum: ['spam', 'drop'], default: 'spam' },
+  // Yêu cầu xóa tài khoản đang trong thời gian chờ (xem accountDeletion.js)
+  deletionRequestedAt: { type: Date },
+  deletionScheduledFor: { type: Date, index: true }
 });
 
-// Middleware để kiểm tra email trước khi lưu
+// Middleware để kiểm tra định dạng email trước khi lưu.
+// Email chỉ được đánh dấu đã xác minh khi người dùng xác nhận qua emailVerification.js
 userSchema.pre('save', async function (next) {
-  if (this.isModified('email') && this.email) {
-    // Kiểm tra định dạng email
-    const emailRegex = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,}$/;
-    if (!emailRegex.test(this.email)) {
+  const emailRegex = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,}$/;
+  for (const field of ['email', 'pendingEmail']) {
+    if (this.isModified(field) && this[field] && !emailRegex.test(this[field])) {
       return next(new Error('Invalid email format'));
     }
-    // Đánh dấu email là đã xác minh nếu được cập nhật (tùy chọn: có thể thêm bước xác minh OTP)
-    this.isEmailVerified = true;
   }
   next();
 });
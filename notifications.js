@@ -0,0 +1,14 @@
+// Gửi thông báo newEmail qua WebSocket tới phòng của người nhận
+function notifyNewEmail(io, userEmail, payload) {
+  if (!io) {
+    console.warn('Socket.IO not initialized, skipping WebSocket notification for:', userEmail);
+    return;
+  }
+  try {
+    io.to(userEmail).emit('newEmail', payload);
+  } catch (wsErr) {
+    console.error('WebSocket error for', userEmail, wsErr.message, wsErr.stack);
+  }
+}
+
+module.exports = { notifyNewEmail };
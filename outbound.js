@@ -0,0 +1,200 @@
+const nodemailer = require('nodemailer');
+const User = require('./models/User');
+const Email = require('./models/Email');
+const MailboxEntry = require('./models/MailboxEntry');
+const OutboundDelivery = require('./models/OutboundDelivery');
+const { getMailDomain, buildThreadFields, htmlToText, escapeHtml } = require('./messageUtils');
+const { notifyNewEmail } = require('./notifications');
+const { mimeAttachmentSource } = require('./uploads');
+
+// Gửi email tới địa chỉ bên ngoài qua SMTP relay (SMTP_RELAY_HOST, SMTP_RELAY_PORT, SMTP_RELAY_SECURE,
+// SMTP_RELAY_USER, SMTP_RELAY_PASS). Trỏ relay tới một SMTP server cục bộ để kiểm thử.
+const getMaxAttempts = () => parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 5;
+const getRetryBaseMs = () => parseInt(process.env.OUTBOUND_RETRY_BASE_MS, 10) || 60 * 1000;
+const getIntervalMs = () => parseInt(process.env.OUTBOUND_INTERVAL_MS, 10) || 30 * 1000;
+
+let transporter = null;
+let outboundIo = null;
+let running = false;
+let rerunRequested = false;
+
+// Chỉ gửi ra ngoài khi đã cấu hình relay
+const isOutboundEnabled = () => Boolean(process.env.SMTP_RELAY_HOST);
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_RELAY_HOST,
+      port: parseInt(process.env.SMTP_RELAY_PORT, 10) || 587,
+      secure: process.env.SMTP_RELAY_SECURE === 'true',
+      auth: process.env.SMTP_RELAY_USER
+        ? { user: process.env.SMTP_RELAY_USER, pass: process.env.SMTP_RELAY_PASS }
+        : undefined,
+      tls: { rejectUnauthorized: process.env.SMTP_RELAY_TLS_REJECT_UNAUTHORIZED !== 'false' }
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Tạo thư MIME cho nodemailer: HTML kèm bản văn bản thuần, tệp đính kèm và các header hội thoại.
+ * BCC không bao giờ xuất hiện trong header; người nhận thực tế nằm trong envelope.
+ * Có thể truyền sẵn `attachments` (dạng của nodemailer) khi nội dung tệp đã được tải về.
+ */
+function buildMimeMessage(email, { attachments } = {}) {
+  return {
+    from: email.sender,
+    to: email.recipients,
+    cc: email.cc && email.cc.length > 0 ? email.cc : undefined,
+    subject: email.subject,
+    html: email.body,
+    text: email.bodyText || htmlToText(email.body),
+    attachments: attachments || (email.attachments || []).filter(a => !a.quarantined).map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      ...mimeAttachmentSource(attachment)
+    })),
+    messageId: email.messageId,
+    inReplyTo: email.inReplyTo,
+    references: email.references && email.references.length > 0 ? email.references.join(' ') : undefined,
+    date: email.sentAt,
+    headers: email.autoSubmitted ? { 'Auto-Submitted': email.autoSubmitted } : undefined
+  };
+}
+
+// Đưa các địa chỉ bên ngoài vào hàng đợi gửi (email đã được lưu).
+// Khi chưa cấu hình relay (ví dụ Auto Reply cho email nhận từ bên ngoài), địa chỉ được ghi nhận là thất bại.
+async function queueOutbound(email, senderUser, addresses) {
+  if (addresses.length === 0) return;
+  const enabled = isOutboundEnabled();
+  await OutboundDelivery.insertMany(addresses.map(address => ({
+    email: email._id,
+    senderId: senderUser._id,
+    address,
+    ...(enabled ? {} : { status: 'failed', lastError: 'SMTP relay not configured' })
+  })));
+  if (enabled) setImmediate(processOutboundQueue);
+}
+
+// Thông báo gửi thất bại vào Inbox của người gửi, cùng hội thoại với email gốc
+async function sendBounceNotice(delivery, email) {
+  const sender = await User.findById(delivery.senderId);
+  if (!sender) return;
+
+  const notice = new Email({
+    sender: `mailer-daemon@${getMailDomain()}`,
+    recipients: [sender.email],
+    subject: `Delivery Status Notification (Failure): ${email.subject}`,
+    body: `<p>Your message could not be delivered to <b>${escapeHtml(delivery.address)}</b>.</p>`
+      + `<p>Reason: ${escapeHtml(delivery.lastError || 'Unknown error')}</p>`
+      + `<p>Attempts: ${delivery.attempts}</p>`,
+    sentAt: new Date(),
+    autoSubmitted: 'auto-generated',
+    ...buildThreadFields(email)
+  });
+  await notice.save();
+
+  const entry = new MailboxEntry({
+    userId: sender._id,
+    email: notice._id,
+    role: 'to',
+    folder: 'inbox',
+    threadId: notice.threadId,
+    sentAt: notice.sentAt
+  });
+  await entry.save();
+
+  notifyNewEmail(outboundIo, sender.email, {
+    emailId: entry._id,
+    threadId: notice.threadId,
+    sender: notice.sender,
+    subject: notice.subject,
+    sentAt: notice.sentAt,
+    folder: entry.folder,
+    isSpam: false
+  });
+}
+
+// Gửi một địa chỉ đã được nhận xử lý; lỗi tạm thời được thử lại với thời gian chờ tăng dần
+async function sendDelivery(delivery) {
+  const email = delivery.email;
+  try {
+    await getTransporter().sendMail({
+      ...buildMimeMessage(email),
+      envelope: { from: email.sender, to: [delivery.address] }
+    });
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    delivery.responseCode = undefined;
+    await delivery.save();
+  } catch (err) {
+    // Mã 5xx từ relay là lỗi vĩnh viễn, không thử lại
+    const permanent = err.responseCode >= 500;
+    delivery.lastError = err.response || err.message;
+    delivery.responseCode = err.responseCode;
+
+    if (permanent || delivery.attempts >= getMaxAttempts()) {
+      delivery.status = 'failed';
+      await delivery.save();
+      console.warn(`Outbound delivery of ${email._id} to ${delivery.address} failed: ${delivery.lastError}`);
+      await sendBounceNotice(delivery, email);
+    } else {
+      delivery.status = 'queued';
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryBaseMs() * 2 ** (delivery.attempts - 1));
+      await delivery.save();
+    }
+  }
+}
+
+// Gửi mọi địa chỉ bên ngoài đến lượt gửi hoặc thử lại
+async function processOutboundQueue() {
+  if (!isOutboundEnabled()) return;
+  if (running) {
+    rerunRequested = true;
+    return;
+  }
+  running = true;
+  try {
+    let delivery;
+    // Chuyển sang 'sending' một cách nguyên tử để mỗi lần thử chỉ chạy một lần
+    while ((delivery = await OutboundDelivery.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { status: 'sending', $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ).populate('email'))) {
+      if (!delivery.email) {
+        await OutboundDelivery.deleteOne({ _id: delivery._id });
+        continue;
+      }
+      await sendDelivery(delivery);
+    }
+  } catch (err) {
+    console.error('Outbound queue error:', err.message, err.stack);
+  } finally {
+    running = false;
+  }
+  if (rerunRequested) {
+    rerunRequested = false;
+    await processOutboundQueue();
+  }
+}
+
+// Khởi động bộ gửi ra ngoài; lần gửi bị gián đoạn khi server tắt được đưa lại vào hàng đợi
+async function startOutboundWorker(io) {
+  outboundIo = io;
+  if (!isOutboundEnabled()) {
+    console.log('SMTP relay not configured, outbound delivery disabled');
+    return;
+  }
+  try {
+    await OutboundDelivery.updateMany({ status: 'sending' }, { status: 'queued' });
+  } catch (err) {
+    console.error('Outbound recovery error:', err.message, err.stack);
+  }
+  processOutboundQueue();
+  setInterval(processOutboundQueue, getIntervalMs());
+  console.log(`Outbound delivery started via ${process.env.SMTP_RELAY_HOST}`);
+}
+
+module.exports = { isOutboundEnabled, buildMimeMessage, queueOutbound, processOutboundQueue, startOutboundWorker };
@@ -0,0 +1,110 @@
+// Giới hạn tần suất và khóa tạm thời sau nhiều lần nhập sai cho các route xác thực.
+// Bộ đếm lưu theo RATE_LIMIT_STORE (memory | mongo), mặc định trong bộ nhớ.
+const stores = {
+  memory: () => require('./memoryStore'),
+  mongo: () => require('./mongoStore')
+};
+
+const getStoreName = () => (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase().replace(/^mongodb$/, 'mongo');
+
+function getStore() {
+  const name = getStoreName();
+  if (!stores[name]) throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+  return stores[name]();
+}
+
+// Khóa tài khoản: sau LOGIN_MAX_FAILURES lần sai trong 15 phút, khóa LOCKOUT_BASE_SECONDS giây,
+// thời gian khóa gấp đôi sau mỗi lần bị khóa tiếp theo trong 24 giờ (tối đa LOCKOUT_MAX_SECONDS)
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_LEVEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+const getMaxFailures = () => parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const getLockoutBaseMs = () => (parseInt(process.env.LOCKOUT_BASE_SECONDS, 10) || 60) * 1000;
+const getLockoutMaxMs = () => (parseInt(process.env.LOCKOUT_MAX_SECONDS, 10) || 60 * 60) * 1000;
+
+const retryAfterSeconds = (resetAt) => Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+
+// Phản hồi 429 thống nhất: header Retry-After và retryAfter (giây) trong JSON
+function sendTooManyRequests(res, resetAt, message = 'Too many requests. Please try again later.') {
+  const retryAfter = retryAfterSeconds(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter, retryAt: resetAt });
+}
+
+/**
+ * Tính một lần truy cập cho `key` trong nhóm `name`: tối đa `max` lần trong `windowMs`.
+ * Trả về thời điểm được thử lại nếu đã vượt giới hạn, ngược lại null.
+ */
+async function consumeLimit({ name, key, windowMs, max }) {
+  const { count, resetAt } = await getStore().increment(`rl:${name}:${key}`, windowMs);
+  return count > max ? resetAt : null;
+}
+
+/**
+ * Middleware giới hạn tối đa `max` request trong `windowMs` cho mỗi khóa do `key(req)` trả về
+ * (ví dụ IP hoặc số điện thoại). `key` trả về null thì bỏ qua. Lỗi của store không chặn request.
+ */
+function rateLimit({ name, windowMs, max, key = req => req.ip, message }) {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+    try {
+      const retryAt = await consumeLimit({ name, key: value, windowMs, max });
+      if (retryAt) return sendTooManyRequests(res, retryAt, message);
+    } catch (err) {
+      console.error('Rate limit error:', err.message, err.stack);
+    }
+    next();
+  };
+}
+
+const LOCKED_MESSAGE = 'Too many failed attempts. Account temporarily locked.';
+
+// Khóa dùng để đếm lần nhập sai của một tài khoản (theo số điện thoại đăng nhập)
+const accountKey = (phone) => `phone:${phone}`;
+
+// Thời điểm hết khóa của tài khoản, hoặc null nếu không bị khóa
+async function getLockout(account) {
+  const lock = await getStore().get(`lock:${account}`);
+  return lock ? lock.resetAt : null;
+}
+
+// Ghi nhận một lần nhập sai (mật khẩu hoặc mã); trả về thời điểm hết khóa nếu tài khoản vừa bị khóa
+async function recordFailure(account) {
+  const store = getStore();
+  const { count } = await store.increment(`fail:${account}`, FAILURE_WINDOW_MS);
+  if (count < getMaxFailures()) return null;
+
+  await store.reset(`fail:${account}`);
+  const { count: level } = await store.increment(`lock-level:${account}`, LOCKOUT_LEVEL_WINDOW_MS);
+  const lockMs = Math.min(getLockoutBaseMs() * 2 ** (level - 1), getLockoutMaxMs());
+  await store.reset(`lock:${account}`);
+  const { resetAt } = await store.increment(`lock:${account}`, lockMs);
+  return resetAt;
+}
+
+// Nhập sai mật khẩu/mã: tính vào bộ đếm khóa tài khoản, trả về 401 hoặc 429 nếu tài khoản vừa bị khóa
+async function rejectFailedAttempt(res, account, message) {
+  const lockedUntil = await recordFailure(account);
+  if (lockedUntil) return sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+  return res.status(401).json({ error: message });
+}
+
+// Đăng nhập thành công: xóa bộ đếm lần sai và mức khóa
+async function clearFailures(account) {
+  const store = getStore();
+  await store.reset(`fail:${account}`);
+  await store.reset(`lock-level:${account}`);
+}
+
+module.exports = {
+  getStoreName,
+  rateLimit,
+  consumeLimit,
+  sendTooManyRequests,
+  LOCKED_MESSAGE,
+  accountKey,
+  getLockout,
+  recordFailure,
+  rejectFailedAttempt,
+  clearFailures
+};
@@ -0,0 +1,43 @@
+// Lưu bộ đếm trong bộ nhớ của tiến trình: nhanh nhưng mất khi khởi động lại và không dùng chung giữa nhiều server
+const counters = new Map();
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Dọn các bộ đếm đã hết cửa sổ
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+const live = (key) => {
+  const counter = counters.get(key);
+  if (!counter) return null;
+  if (counter.resetAt <= Date.now()) {
+    counters.delete(key);
+    return null;
+  }
+  return counter;
+};
+
+async function increment(key, windowMs) {
+  let counter = live(key);
+  if (!counter) {
+    counter = { count: 0, resetAt: Date.now() + windowMs };
+    counters.set(key, counter);
+  }
+  counter.count += 1;
+  return { count: counter.count, resetAt: new Date(counter.resetAt) };
+}
+
+async function get(key) {
+  const counter = live(key);
+  return counter ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+}
+
+async function reset(key) {
+  counters.delete(key);
+}
+
+module.exports = { name: 'memory', increment, get, reset };
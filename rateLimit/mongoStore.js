@@ -0,0 +1,31 @@
+const RateLimit = require('../models/RateLimit');
+
+// Lưu bộ đếm trong MongoDB: dùng chung giữa nhiều server và giữ được sau khi khởi động lại
+
+// Tăng bộ đếm trong một lệnh: cửa sổ đã hết thì bắt đầu lại từ 1
+async function increment(key, windowMs) {
+  const now = new Date();
+  const stillOpen = { $gt: ['$resetAt', now] };
+  const counter = await RateLimit.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        count: { $cond: [stillOpen, { $add: ['$count', 1] }, 1] },
+        resetAt: { $cond: [stillOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+  return { count: counter.count, resetAt: counter.resetAt };
+}
+
+async function get(key) {
+  const counter = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+  return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+}
+
+async function reset(key) {
+  await RateLimit.deleteOne({ key });
+}
+
+module.exports = { name: 'mongo', increment, get, reset };
@@ -1,10 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
 const User = require('../models/User');
-
+const { createSession, rotateSession, revokeRefreshToken, revokeOtherSessions } = require('../sessions');
+const { authenticateToken } = require('../middleware/auth');
+const { issueEmailOtp, consumeEmailOtp, recordOtpFailure, verifySecondFactor } = require('../twoFactor');
+const {
+  rateLimit,
+  consumeLimit,
+  sendTooManyRequests,
+  LOCKED_MESSAGE,
+  accountKey,
+  getLockout,
+  rejectFailedAttempt,
+  clearFailures
+} = require('../rateLimit');
+const { verifyEmailToken } = require('../emailVerification');
 
 // Kiểm tra định dạng đầu vào
 const validatePhone = (phone) => /^\+?[0-9]{10,12}$/.test(phone);
@@ -14,8 +25,30 @@ const checkPasswordStrength = (password) => {
   return strongRegex.test(password) ? 'Strong' : 'Weak, add uppercase, number, and special character';
 };
 
+// Giới hạn tần suất theo IP và theo tài khoản (số điện thoại)
+const MINUTE = 60 * 1000;
+const phoneKey = (req) => (typeof req.body.phone === 'string' && req.body.phone.trim()) || null;
+const registerLimit = rateLimit({ name: 'register-ip', windowMs: 60 * MINUTE, max: 10 });
+const loginLimit = rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30 });
+const forgotPasswordLimits = [
+  rateLimit({ name: 'forgot-ip', windowMs: 60 * MINUTE, max: 10 }),
+  rateLimit({
+    name: 'forgot-account',
+    windowMs: 15 * MINUTE,
+    max: 3,
+    key: phoneKey,
+    message: 'Too many OTP requests for this account. Please try again later.'
+  })
+];
+const resetPasswordLimit = rateLimit({ name: 'reset-ip', windowMs: 15 * MINUTE, max: 20 });
+const refreshLimit = rateLimit({ name: 'refresh-ip', windowMs: MINUTE, max: 30 });
+const verifyEmailLimit = rateLimit({ name: 'verify-email-ip', windowMs: 15 * MINUTE, max: 30 });
+
+// Mỗi tài khoản chỉ nhận tối đa 3 OTP qua email trong 15 phút (đăng nhập, khôi phục mật khẩu)
+const OTP_EMAIL_LIMIT = { windowMs: 15 * MINUTE, max: 3 };
+
 // Đăng ký
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, async (req, res) => {
   const { phone, password, confirmPassword } = req.body;
   if (!validatePhone(phone)) return res.status(400).json({ error: 'Invalid phone number' });
   if (!validatePassword(password)) return res.status(400).json({ error: 'Password must be at least 8 characters' });
@@ -31,8 +64,7 @@ router.post('/register', async (req, res) => {
     const user = new User({ phone, password: hashedPassword });
     await user.save();
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token });
+    res.json(await createSession(user, req));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
@@ -40,42 +72,48 @@ router.post('/register', async (req, res) => {
 });
 
 // Đăng nhập
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, async (req, res) => {
   const { phone, password, otp } = req.body;
   if (!validatePhone(phone)) return res.status(400).json({ error: 'Invalid phone number' });
+  const account = accountKey(phone);
 
   try {
+    const lockedUntil = await getLockout(account);
+    if (lockedUntil) return sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+
     const user = await User.findOne({ phone });
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) return res.status(401).json({ error: 'Invalid password' });
+    const validPassword = await bcrypt.compare(String(password || ''), user.password);
+    if (!validPassword) return rejectFailedAttempt(res, account, 'Invalid password');
 
+    // 2FA: mã từ ứng dụng xác thực, OTP qua email hoặc mã khôi phục.
+    // Chưa gửi mã: người dùng có TOTP được yêu cầu nhập mã, còn lại (hoặc method = 'email') nhận OTP qua email
     if (user.twoFactorEnabled && !otp) {
+      const methods = [
+        ...(user.totpEnabled ? ['totp'] : []),
+        ...(user.email ? ['email'] : []),
+        'recovery'
+      ];
+      if (user.totpEnabled && req.body.method !== 'email') {
+        return res.json({ message: 'Two-factor code required', twoFactorRequired: true, methods });
+      }
       if (!user.email) return res.status(400).json({ error: 'Email required for 2FA' });
-      const otpCode = Math.floor(100000 + Math.random() * 900000).toString();
-      const otpExpires = Date.now() + 5 * 60 * 1000;
-      await User.updateOne({ phone }, { otp: otpCode, otpExpires });
-
-      const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: { user: process.env.GMAIL_USER, pass: process.env.GMAIL_PASS }
-      });
-      await transporter.sendMail({
-        from: process.env.GMAIL_USER,
-        to: user.email,
-        subject: 'Login OTP',
-        text: `Your OTP is ${otpCode}. It expires in 5 minutes.`
-      });
-      return res.json({ message: 'OTP sent to your email' });
+      const retryAt = await consumeLimit({ name: 'otp-email', key: account, ...OTP_EMAIL_LIMIT });
+      if (retryAt) return sendTooManyRequests(res, retryAt, 'Too many OTP requests for this account. Please try again later.');
+      await issueEmailOtp(user, 'Login OTP', 'login');
+      return res.json({ message: 'OTP sent to your email', twoFactorRequired: true, methods });
     }
 
-    if (user.twoFactorEnabled && (otp !== user.otp || Date.now() > user.otpExpires)) {
-      return res.status(401).json({ error: 'Invalid or expired OTP' });
+    if (user.twoFactorEnabled && !(await verifySecondFactor(user, String(otp), 'login'))) {
+      return rejectFailedAttempt(res, account, 'Invalid or expired OTP');
     }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token });
+    await clearFailures(account);
+    const tokens = await createSession(user, req);
+    // Tài khoản đang chờ xóa: client nhắc người dùng hủy yêu cầu nếu muốn giữ tài khoản
+    if (user.deletionScheduledFor) tokens.deletionScheduledFor = user.deletionScheduledFor;
+    res.json(tokens);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
@@ -83,7 +121,7 @@ router.post('/login', async (req, res) => {
 });
 
 // Khôi phục mật khẩu
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', forgotPasswordLimits, async (req, res) => {
   const { phone } = req.body;
   if (!validatePhone(phone)) return res.status(400).json({ error: 'Invalid phone number' });
 
@@ -91,20 +129,7 @@ router.post('/forgot-password', async (req, res) => {
     const user = await User.findOne({ phone });
     if (!user || !user.email || !user.isEmailVerified) return res.status(404).json({ error: 'User or verified email not found' });
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpires = Date.now() + 5 * 60 * 1000;
-    await User.updateOne({ phone }, { otp, otpExpires });
-
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: { user: process.env.GMAIL_USER, pass: process.env.GMAIL_PASS }
-    });
-    await transporter.sendMail({
-      from: process.env.GMAIL_USER,
-      to: user.email,
-      subject: 'Password Reset OTP',
-      text: `Your OTP is ${otp}. It expires in 5 minutes.`
-    });
+    await issueEmailOtp(user, 'Password Reset OTP', 'reset');
     res.json({ message: 'OTP sent to your email' });
   } catch (err) {
     console.error(err);
@@ -112,7 +137,7 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', resetPasswordLimit, async (req, res) => {
   const { phone, otp, newPassword, confirmPassword } = req.body;
   if (!validatePhone(phone)) return res.status(400).json({ error: 'Invalid phone number' });
   if (!validatePassword(newPassword)) return res.status(400).json({ error: 'Password must be at least 8 characters' });
@@ -120,15 +145,25 @@ router.post('/reset-password', async (req, res) => {
   const strength = checkPasswordStrength(newPassword);
   if (strength !== 'Strong') return res.status(400).json({ error: strength });
 
+  const account = accountKey(phone);
+
   try {
+    const lockedUntil = await getLockout(account);
+    if (lockedUntil) return sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+
     const user = await User.findOne({ phone });
     if (!user) return res.status(404).json({ error: 'User not found' });
-    if (user.otp !== otp || Date.now() > user.otpExpires) {
-      return res.status(401).json({ error: 'Invalid or expired OTP' });
+    // OTP bị hủy ngay khi dùng, hoặc sau quá nhiều lần nhập sai
+    if (!(await consumeEmailOtp(user, String(otp || ''), 'reset'))) {
+      await recordOtpFailure(user);
+      return rejectFailedAttempt(res, account, 'Invalid or expired OTP');
     }
 
     const hashedPassword = await bcrypt.hash(newPassword, 10);
-    await User.updateOne({ phone }, { password: hashedPassword, otp: null, otpExpires: null });
+    await User.updateOne({ phone }, { password: hashedPassword });
+    await clearFailures(account);
+    // Mật khẩu cũ có thể đã bị lộ: đăng xuất mọi thiết bị
+    await revokeOtherSessions(user._id);
     res.json({ message: 'Password reset successfully' });
   } catch (err) {
     console.error(err);
@@ -137,20 +172,53 @@ router.post('/reset-password', async (req, res) => {
 });
 
 
-// Xác minh token
-router.get('/verify-token', async (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+// Làm mới access token: refresh token cũ hết hiệu lực, trả về cặp token mới
+router.post('/refresh', refreshLimit, async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'Refresh token is required' });
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    res.json({ message: 'Token valid', email: user.email });
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    res.json(tokens);
   } catch (err) {
-    console.error(err);
-    res.status(401).json({ error: 'Invalid token' });
+    console.error('Refresh token error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Đăng xuất: thu hồi phiên của refresh token
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'Refresh token is required' });
+
+  try {
+    await revokeRefreshToken(refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Xác minh email qua liên kết đã ký trong email (không cần đăng nhập)
+router.get('/verify-email', verifyEmailLimit, async (req, res) => {
+  const { token } = req.query;
+  if (!token || typeof token !== 'string') return res.status(400).json({ error: 'Verification token is required' });
+
+  try {
+    const result = await verifyEmailToken(token);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: 'Email verified', email: result.user.email });
+  } catch (err) {
+    console.error('Verify email link error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Xác minh token
+router.get('/verify-token', authenticateToken, (req, res) => {
+  res.json({ message: 'Token valid', email: req.user.email });
+});
+
 module.exports = router;
\ No newline at end of file
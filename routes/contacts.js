@@ -0,0 +1,470 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const ContactGroup = require('../models/ContactGroup');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadProfilePicture } = require('../uploads');
+const { removeFile } = require('../storage');
+const { sniffType } = require('../attachmentPolicy');
+const { escapeRegex } = require('../searchQuery');
+const { toVCard, parseVCards } = require('../vcard');
+
+// Multer cho ảnh đại diện của liên hệ và tệp .vcf
+const storage = multer.memoryStorage();
+const avatarUpload = multer({ storage, limits: { fileSize: 5 * 1024 * 1024 } }); // 5MB
+const vcfUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const isVcf = /\.(vcf|vcard)$/i.test(file.originalname) || /^text\/(x-)?vcard$/.test(file.mimetype);
+    if (isVcf) return cb(null, true);
+    cb(new Error('Only .vcf files are allowed'));
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+// Chạy middleware multer, trả lỗi tải lên (sai loại tệp, vượt dung lượng) dưới dạng JSON
+const handleUploadErrors = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'File exceeds the 5MB size limit' });
+    }
+    res.status(400).json({ error: err.message });
+  });
+};
+const uploadAvatar = handleUploadErrors(avatarUpload.single('avatar'));
+const uploadVcfFile = handleUploadErrors(vcfUpload.single('file'));
+
+// Định dạng địa chỉ email (giống models/User.js)
+const emailRegex = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,}$/;
+
+router.use(authenticateToken);
+
+/**
+ * Đọc các trường liên hệ có trong request (multipart gửi emails dạng chuỗi JSON hoặc phân tách bằng dấu phẩy).
+ * Trả về { fields } hoặc { error }.
+ */
+const parseContactFields = (body) => {
+  const fields = {};
+  if (body.emails !== undefined) {
+    let { emails } = body;
+    if (typeof emails === 'string') {
+      try {
+        emails = emails.trim().startsWith('[') ? JSON.parse(emails) : emails.split(',');
+      } catch (err) {
+        return { error: 'Invalid JSON format in emails' };
+      }
+    }
+    if (!Array.isArray(emails)) return { error: 'Emails must be an array' };
+    emails = [...new Set(emails.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+    const invalid = emails.find(email => !emailRegex.test(email));
+    if (invalid) return { error: `Invalid email address: ${invalid}` };
+    if (emails.length === 0) return { error: 'At least one email address is required' };
+    fields.emails = emails;
+  }
+  for (const name of ['name', 'phone', 'notes']) {
+    if (body[name] === undefined) continue;
+    if (typeof body[name] !== 'string') return { error: `${name} must be a string` };
+    fields[name] = body[name].trim();
+  }
+  if (body.avatar !== undefined && body.avatar !== null && body.avatar !== '' && !/^https?:\/\//i.test(body.avatar)) {
+    return { error: 'Avatar must be an http(s) URL' };
+  }
+  return { fields };
+};
+
+// Ảnh tải lên phải là JPEG/PNG thật; trả về lỗi hoặc null
+const checkAvatarFile = (file) => {
+  if (!file) return null;
+  const { type, mime } = sniffType(file.buffer, file.originalname);
+  if (!['jpeg', 'png'].includes(type)) return 'Avatar must be a .jpg, .jpeg or .png image';
+  file.mimetype = mime;
+  return null;
+};
+
+// Cập nhật ảnh đại diện từ tệp tải lên hoặc URL; trả về key của ảnh cũ cần xóa sau khi lưu
+const applyAvatar = async (contact, file, avatarUrl) => {
+  const oldKey = contact.avatarKey;
+  if (file) {
+    const { key, url } = await uploadProfilePicture(file);
+    contact.avatar = url;
+    contact.avatarKey = key;
+    return oldKey;
+  }
+  if (avatarUrl !== undefined) {
+    contact.avatar = avatarUrl || undefined;
+    contact.avatarKey = undefined;
+    return oldKey;
+  }
+  return null;
+};
+
+// Địa chỉ đã thuộc liên hệ khác trong danh bạ (vi phạm chỉ mục duy nhất userId + emails)
+const DUPLICATE_EMAIL_ERROR = 'One of these email addresses already belongs to another contact';
+
+// Danh sách liên hệ, có thể lọc theo tên/địa chỉ (q) và phân trang
+router.get('/', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+  try {
+    const query = { userId: req.user._id };
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [{ name: pattern }, { emails: pattern }, { phone: pattern }];
+    }
+    const [contacts, total] = await Promise.all([
+      Contact.find(query).collation({ locale: 'vi' }).sort({ name: 1, createdAt: 1 }).skip((page - 1) * limit).limit(limit),
+      Contact.countDocuments(query)
+    ]);
+    res.json({ contacts: contacts.map(c => c.toView()), total, page, limit });
+  } catch (err) {
+    console.error('List contacts error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Gợi ý người nhận: liên hệ và người dùng đã xác minh có tên hoặc địa chỉ bắt đầu bằng q,
+// xếp theo tần suất và mức độ gần đây người dùng gửi email tới họ
+router.get('/suggest', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  if (!q) return res.status(400).json({ error: 'Query parameter q is required' });
+
+  try {
+    const prefix = new RegExp(`^${escapeRegex(q)}`, 'i');
+    const wordPrefix = new RegExp(`(^|\\s)${escapeRegex(q)}`, 'i');
+    const [contacts, users] = await Promise.all([
+      Contact.find({ userId: req.user._id, $or: [{ name: wordPrefix }, { emails: prefix }] }).limit(200),
+      User.find(
+        { _id: { $ne: req.user._id }, isEmailVerified: true, $or: [{ email: prefix }, { name: wordPrefix }] },
+        'email name picture'
+      ).limit(50)
+    ]);
+
+    // Điểm: liên hệ được cộng 0.5, tần suất tính theo log và giảm một nửa sau mỗi 30 ngày
+    const now = Date.now();
+    const contactScore = (contact) => {
+      if (!contact.timesContacted || !contact.lastContactedAt) return 0.5;
+      const ageDays = (now - contact.lastContactedAt.getTime()) / (24 * 60 * 60 * 1000);
+      return 0.5 + (1 + Math.log2(1 + contact.timesContacted)) * Math.pow(0.5, ageDays / 30);
+    };
+
+    const suggestions = new Map();
+    for (const contact of contacts) {
+      const nameMatches = wordPrefix.test(contact.name);
+      for (const email of contact.emails) {
+        if (!nameMatches && !prefix.test(email)) continue;
+        suggestions.set(email, {
+          email,
+          name: contact.name,
+          avatar: contact.avatar || null,
+          contactId: contact._id,
+          isRegistered: false,
+          timesContacted: contact.timesContacted,
+          lastContactedAt: contact.lastContactedAt || null,
+          score: contactScore(contact)
+        });
+      }
+    }
+    for (const user of users) {
+      const email = user.email.toLowerCase();
+      const existing = suggestions.get(email);
+      if (existing) {
+        existing.isRegistered = true;
+        existing.name = existing.name || user.name || '';
+        existing.avatar = existing.avatar || user.picture || null;
+      } else {
+        suggestions.set(email, {
+          email: user.email,
+          name: user.name || '',
+          avatar: user.picture || null,
+          contactId: null,
+          isRegistered: true,
+          timesContacted: 0,
+          lastContactedAt: null,
+          score: 0
+        });
+      }
+    }
+
+    const ranked = [...suggestions.values()]
+      .sort((a, b) => b.score - a.score || (a.name || a.email).localeCompare(b.name || b.email))
+      .slice(0, limit)
+      .map(suggestion => ({ ...suggestion, score: Math.round(suggestion.score * 1000) / 1000 }));
+    res.json({ suggestions: ranked });
+  } catch (err) {
+    console.error('Suggest contacts error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Xuất toàn bộ danh bạ dạng vCard 3.0
+router.get('/export', async (req, res) => {
+  try {
+    const contacts = await Contact.find({ userId: req.user._id }).collation({ locale: 'vi' }).sort({ name: 1 });
+    res.set('Content-Type', 'text/vcard; charset=utf-8');
+    res.attachment('contacts.vcf');
+    res.send(contacts.map(toVCard).join(''));
+  } catch (err) {
+    console.error('Export contacts error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Nhập danh bạ từ tệp .vcf; liên hệ trùng địa chỉ được bổ sung thông tin còn thiếu
+router.post('/import', uploadVcfFile, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'A .vcf file is required' });
+
+  try {
+    const cards = parseVCards(req.file.buffer.toString('utf8'));
+    let created = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    for (const card of cards) {
+      const emails = [...new Set(card.emails.filter(email => emailRegex.test(email)))];
+      if (emails.length === 0) {
+        skipped += 1;
+        continue;
+      }
+      try {
+        const existing = await Contact.findOne({ userId: req.user._id, emails: { $in: emails } });
+        if (existing) {
+          existing.emails.push(...emails.filter(email => !existing.emails.includes(email)));
+          existing.name = existing.name || card.name;
+          existing.phone = existing.phone || card.phone || undefined;
+          existing.notes = existing.notes || card.notes || undefined;
+          existing.avatar = existing.avatar || card.avatar || undefined;
+          existing.updatedAt = new Date();
+          await existing.save();
+          updated += 1;
+        } else {
+          await Contact.create({
+            userId: req.user._id,
+            name: card.name,
+            emails,
+            phone: card.phone || undefined,
+            notes: card.notes || undefined,
+            avatar: card.avatar || undefined,
+            source: 'import'
+          });
+          created += 1;
+        }
+      } catch (err) {
+        // Địa chỉ của thẻ nằm ở nhiều liên hệ khác nhau
+        if (err.code !== 11000) throw err;
+        skipped += 1;
+      }
+    }
+
+    res.json({ message: 'Contacts imported', created, updated, skipped });
+  } catch (err) {
+    console.error('Import contacts error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Đọc các trường của nhóm liên hệ: name, contactIds (liên hệ của người dùng) và emails (địa chỉ ngoài danh bạ).
+ * Trả về { fields } hoặc { error }.
+ */
+const parseGroupFields = async (body, userId) => {
+  const fields = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Group name is required' };
+    if (/^group:/i.test(body.name.trim())) return { error: 'Group name must not start with "group:"' };
+    fields.name = body.name.trim();
+  }
+  if (body.contactIds !== undefined) {
+    if (!Array.isArray(body.contactIds)) return { error: 'contactIds must be an array' };
+    const contactIds = [...new Set(body.contactIds.map(String))];
+    if (!contactIds.every(id => mongoose.isValidObjectId(id))) return { error: 'Invalid contact ID' };
+    const count = await Contact.countDocuments({ _id: { $in: contactIds }, userId });
+    if (count !== contactIds.length) return { error: 'Some contacts not found' };
+    fields.contactIds = contactIds;
+  }
+  if (body.emails !== undefined) {
+    if (!Array.isArray(body.emails)) return { error: 'Emails must be an array' };
+    const emails = [...new Set(body.emails.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+    const invalid = emails.find(email => !emailRegex.test(email));
+    if (invalid) return { error: `Invalid email address: ${invalid}` };
+    fields.emails = emails;
+  }
+  return { fields };
+};
+
+const DUPLICATE_GROUP_ERROR = 'A contact group with this name already exists';
+
+// Danh sách nhóm liên hệ
+router.get('/groups', async (req, res) => {
+  try {
+    const groups = await ContactGroup.find({ userId: req.user._id }).collation({ locale: 'vi' }).sort({ name: 1 });
+    res.json({ groups: groups.map(group => group.toView()) });
+  } catch (err) {
+    console.error('List contact groups error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lấy một nhóm kèm địa chỉ của các thành viên
+router.get('/groups/:groupId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    const group = await ContactGroup.findOne({ _id: req.params.groupId, userId: req.user._id });
+    if (!group) return res.status(404).json({ error: 'Contact group not found' });
+    const contacts = await Contact.find({ _id: { $in: group.contactIds }, userId: req.user._id });
+    res.json({
+      group: group.toView(),
+      contacts: contacts.map(contact => contact.toView()),
+      addresses: await group.memberAddresses()
+    });
+  } catch (err) {
+    console.error('Get contact group error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Tạo nhóm liên hệ
+router.post('/groups', async (req, res) => {
+  try {
+    const { fields, error } = await parseGroupFields(req.body, req.user._id);
+    if (error) return res.status(400).json({ error });
+    if (!fields.name) return res.status(400).json({ error: 'Group name is required' });
+
+    const group = await ContactGroup.create({ userId: req.user._id, ...fields });
+    res.status(201).json({ message: 'Contact group created', group: group.toView() });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: DUPLICATE_GROUP_ERROR });
+    console.error('Create contact group error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cập nhật nhóm liên hệ; contactIds/emails gửi lên thay thế toàn bộ danh sách hiện tại
+router.put('/groups/:groupId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    const { fields, error } = await parseGroupFields(req.body, req.user._id);
+    if (error) return res.status(400).json({ error });
+
+    const group = await ContactGroup.findOne({ _id: req.params.groupId, userId: req.user._id });
+    if (!group) return res.status(404).json({ error: 'Contact group not found' });
+
+    Object.assign(group, fields);
+    group.updatedAt = new Date();
+    await group.save();
+    res.json({ message: 'Contact group updated', group: group.toView() });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: DUPLICATE_GROUP_ERROR });
+    console.error('Update contact group error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Xóa nhóm liên hệ (các liên hệ trong nhóm được giữ nguyên)
+router.delete('/groups/:groupId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    const group = await ContactGroup.findOneAndDelete({ _id: req.params.groupId, userId: req.user._id });
+    if (!group) return res.status(404).json({ error: 'Contact group not found' });
+    res.json({ message: 'Contact group deleted' });
+  } catch (err) {
+    console.error('Delete contact group error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lấy một liên hệ
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+    const contact = await Contact.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!contact) return res.status(404).json({ error: 'Contact not found' });
+    res.json({ contact: contact.toView() });
+  } catch (err) {
+    console.error('Get contact error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Tạo liên hệ (ảnh đại diện: tệp "avatar" hoặc URL)
+router.post('/', uploadAvatar, async (req, res) => {
+  const { fields, error } = parseContactFields(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!fields.emails) return res.status(400).json({ error: 'At least one email address is required' });
+  const avatarError = checkAvatarFile(req.file);
+  if (avatarError) return res.status(400).json({ error: avatarError });
+
+  try {
+    if (await Contact.exists({ userId: req.user._id, emails: { $in: fields.emails } })) {
+      return res.status(409).json({ error: DUPLICATE_EMAIL_ERROR });
+    }
+    const contact = new Contact({ userId: req.user._id, ...fields, source: 'manual' });
+    await applyAvatar(contact, req.file, req.body.avatar);
+    await contact.save();
+    res.status(201).json({ message: 'Contact created', contact: contact.toView() });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: DUPLICATE_EMAIL_ERROR });
+    console.error('Create contact error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cập nhật liên hệ; các trường không gửi lên giữ nguyên
+router.put('/:id', uploadAvatar, async (req, res) => {
+  const { fields, error } = parseContactFields(req.body);
+  if (error) return res.status(400).json({ error });
+  const avatarError = checkAvatarFile(req.file);
+  if (avatarError) return res.status(400).json({ error: avatarError });
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+    const contact = await Contact.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!contact) return res.status(404).json({ error: 'Contact not found' });
+
+    Object.assign(contact, fields);
+    const oldAvatarKey = await applyAvatar(contact, req.file, req.body.avatar);
+    contact.updatedAt = new Date();
+    await contact.save();
+    if (oldAvatarKey) await removeFile(oldAvatarKey);
+    res.json({ message: 'Contact updated', contact: contact.toView() });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: DUPLICATE_EMAIL_ERROR });
+    console.error('Update contact error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Xóa liên hệ (khỏi cả các nhóm) và ảnh đại diện đã tải lên
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+    const contact = await Contact.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!contact) return res.status(404).json({ error: 'Contact not found' });
+    await ContactGroup.updateMany({ userId: req.user._id }, { $pull: { contactIds: contact._id } });
+    await removeFile(contact.avatarKey);
+    res.json({ message: 'Contact deleted' });
+  } catch (err) {
+    console.error('Delete contact error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
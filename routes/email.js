@@ -1,62 +1,269 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { simpleParser } = require('mailparser');
 const User = require('../models/User');
 const Email = require('../models/Email');
+const MailboxEntry = require('../models/MailboxEntry');
 const Label = require('../models/Label');
 const AutoReply = require('../models/AutoReply');
-const { detectSpam } = require('../spamDetection'); // Import spam detection utility
+const AutoReplyLog = require('../models/AutoReplyLog');
+const Filter = require('../models/Filter');
+const OutboundDelivery = require('../models/OutboundDelivery');
+const MailboxJob = require('../models/MailboxJob');
+const Attachment = require('../models/Attachment');
+const Contact = require('../models/Contact');
+const ContactGroup = require('../models/ContactGroup');
+const { authenticateToken, ensureEmailVerified } = require('../middleware/auth');
+const { deliverEmail } = require('../delivery');
+const { wakeSchedulerAt, holdForDelivery } = require('../scheduler');
+const { generateMessageId, generateThreadId, buildThreadFields, makeSnippet, htmlToText } = require('../messageUtils');
+const { parseSearchQuery, buildSearchConditions, highlight, escapeRegex } = require('../searchQuery');
+const { matchesFilter, applyFilterActions } = require('../mailFilters');
+const { trainFromEntry } = require('../spamClassifier');
+const { isOutboundEnabled, buildMimeMessage } = require('../outbound');
+const { enqueueMailboxJob, importParsedMessage, getUploadDir } = require('../mailboxJobs');
+const { uploadAttachments, copyAttachments, releaseAttachments } = require('../uploads');
+const { readFile } = require('../storage');
+const { checkAttachments, getMaxSize: getMaxAttachmentSize, formatSize } = require('../attachmentPolicy');
+const { deleteEntry, deleteEntries } = require('../mailboxCleanup');
 
 // Cấu hình Multer cho đính kèm
 const storage = multer.memoryStorage();
-const upload = multer({
+
+// Nhận tối đa 5 tệp đính kèm rồi kiểm tra theo chính sách nội dung (attachmentPolicy.js).
+// Loại tệp được xác định từ nội dung; mimetype do client gửi lên không được dùng.
+const uploadAttachmentFiles = (req, res, next) => {
+  const upload = multer({ storage, limits: { fileSize: getMaxAttachmentSize() } }).array('attachments', 5);
+  upload(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Attachment "${err.field}" exceeds the ${formatSize(getMaxAttachmentSize())} size limit` });
+      }
+      return res.status(400).json({ error: err.message });
+    }
+
+    const files = req.files || [];
+    const results = checkAttachments(files);
+    const blockedIndex = results.findIndex(result => !result.allowed);
+    if (blockedIndex >= 0) {
+      return res.status(400).json({
+        error: `Attachment "${files[blockedIndex].originalname}" was rejected: ${results[blockedIndex].reason}`,
+        filename: files[blockedIndex].originalname,
+        reason: results[blockedIndex].reason
+      });
+    }
+    files.forEach((file, i) => { file.mimetype = results[i].mime; });
+    next();
+  });
+};
+
+// Chạy middleware multer, trả lỗi tải lên (sai loại tệp, vượt dung lượng) dưới dạng JSON
+const handleUploadErrors = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'File exceeds the maximum upload size' });
+    }
+    res.status(400).json({ error: err.message });
+  });
+};
+
+// Multer cho nhập email dạng .eml
+const emlUpload = multer({
   storage,
   fileFilter: (req, file, cb) => {
-    const filetypes = /jpeg|jpg|png|pdf/;
-    const mimetype = filetypes.test(file.mimetype);
-    const extname = filetypes.test(file.originalname.toLowerCase().split('.').pop());
-    if (mimetype && extname) return cb(null, true);
-    cb(new Error('Only .jpg, .jpeg, .png, .pdf files are allowed'));
+    const isEml = file.originalname.toLowerCase().endsWith('.eml') || file.mimetype === 'message/rfc822';
+    if (isEml) return cb(null, true);
+    cb(new Error('Only .eml files are allowed'));
   },
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+  limits: { fileSize: 25 * 1024 * 1024 } // 25MB
 });
 
-// Xác thực token
-const authenticateToken = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    req.user = user;
-    next();
-  } catch (err) {
-    console.error('Token verification error:', err.message, err.stack);
-    res.status(401).json({ error: 'Invalid token' });
+// Multer cho nhập tệp mbox: ghi thẳng ra đĩa vì tệp có thể rất lớn.
+// Tạo khi có request để MBOX_IMPORT_MAX_SIZE trong .env được áp dụng
+const mboxUpload = (req, res, next) => handleUploadErrors(multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.promises.mkdir(getUploadDir(), { recursive: true }).then(() => cb(null, getUploadDir()), cb);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    const isMbox = file.originalname.toLowerCase().endsWith('.mbox') || file.mimetype === 'application/mbox';
+    if (isMbox) return cb(null, true);
+    cb(new Error('Only .mbox files are allowed'));
+  },
+  limits: { fileSize: parseInt(process.env.MBOX_IMPORT_MAX_SIZE, 10) || 2 * 1024 * 1024 * 1024 } // 2GB
+}).single('file'))(req, res, next);
+
+// Các thư mục hợp lệ
+const validFolders = ['inbox', 'sent', 'draft', 'starred', 'trash', 'spam', 'scheduled', 'archive']; // Added 'spam'
+
+// Định dạng địa chỉ email (giống models/User.js)
+const emailRegex = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,}$/;
+
+// Tạo điều kiện truy vấn hộp thư của người dùng theo thư mục
+const buildFolderQuery = (folder, userId) => {
+  if (folder === 'starred') return { userId, isStarred: true };
+  return { userId, folder };
+};
+
+// Lấy mục hộp thư của người dùng kèm nội dung email dùng chung
+const findOwnEntry = (entryId, userId) => MailboxEntry.findOne({ _id: entryId, userId }).populate('email');
+
+// Đọc thời gian hẹn gửi (chuỗi ISO 8601 hoặc timestamp mili giây); null nếu gửi ngay
+const parseSendAt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+};
+
+// Kiểm tra thời gian hẹn gửi, trả về thông báo lỗi nếu không hợp lệ
+const validateSendAt = (sendAt) => {
+  if (isNaN(sendAt.getTime())) return 'Invalid sendAt timestamp';
+  if (sendAt <= new Date()) return 'sendAt must be in the future';
+  return null;
+};
+
+// Kiểm tra người nhận, CC, BCC: người dùng đã xác minh, hoặc địa chỉ bên ngoài khi đã cấu hình SMTP relay;
+// trả về thông báo lỗi nếu không hợp lệ
+const findRecipientError = async (recipients, cc, bcc) => {
+  const allEmails = [...new Set([...recipients, ...cc, ...bcc])]; // Loại bỏ trùng lặp
+  const invalidAddress = allEmails.find(address => typeof address !== 'string' || !emailRegex.test(address));
+  if (invalidAddress !== undefined) return `Invalid email address: ${invalidAddress}`;
+
+  const knownUsers = await User.find({ email: { $in: allEmails } });
+  const validEmails = new Set(knownUsers.filter(u => u.isEmailVerified).map(u => u.email));
+  if (isOutboundEnabled()) {
+    const knownEmails = new Set(knownUsers.map(u => u.email));
+    allEmails.filter(address => !knownEmails.has(address)).forEach(address => validEmails.add(address));
+  }
+
+  if (!recipients.every(email => validEmails.has(email))) {
+    return 'Some recipients not found or unverified';
+  }
+  if (cc.length > 0 && !cc.every(c => validEmails.has(c))) {
+    return 'Some CC recipients not found or unverified';
   }
+  if (bcc.length > 0 && !bcc.every(b => validEmails.has(b))) {
+    return 'Some BCC recipients not found or unverified';
+  }
+  return null;
 };
 
-// Kiểm tra email đã được xác minh
-const ensureEmailVerified = async (req, res, next) => {
-  if (!req.user.email || !req.user.isEmailVerified) {
-    return res.status(400).json({ error: 'Verified email required to perform this action' });
+// Đổi địa chỉ của người dùng đã đăng ký về đúng cách viết đã lưu (danh bạ lưu địa chỉ ở dạng chữ thường)
+const canonicalizeAddresses = async (lists) => {
+  const addresses = [...new Set(Object.values(lists).flat().filter(address => typeof address === 'string' && address))];
+  if (addresses.length === 0) return;
+  const users = await User.find({ email: { $in: addresses.map(address => new RegExp(`^${escapeRegex(address)}$`, 'i')) } }, 'email');
+  const byLower = new Map(users.map(user => [user.email.toLowerCase(), user.email]));
+  for (const list of Object.values(lists)) {
+    list.forEach((address, i) => {
+      if (typeof address === 'string' && byLower.has(address.toLowerCase())) list[i] = byLower.get(address.toLowerCase());
+    });
   }
-  next();
 };
 
-// Gửi email
-router.post('/send', authenticateToken, ensureEmailVerified, upload.array('attachments', 5), async (req, res) => {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-  });
+/**
+ * Mở rộng tham chiếu nhóm liên hệ ("group:<id hoặc tên>") trong recipients, cc, bcc thành địa chỉ của thành viên,
+ * đồng thời loại bỏ địa chỉ trùng (một địa chỉ chỉ giữ ở trường đầu tiên theo thứ tự To, CC, BCC).
+ * Địa chỉ của người dùng đã đăng ký được đưa về cách viết đã lưu.
+ * Trả về { recipients, cc, bcc, groups } hoặc { error }.
+ */
+const expandRecipientGroups = async (userId, { recipients = [], cc = [], bcc = [] }) => {
+  const lists = { recipients, cc, bcc };
+  const result = { recipients: [], cc: [], bcc: [], groups: [] };
+  const seen = new Set();
+  const addAddress = (field, address) => {
+    const key = typeof address === 'string' ? address.trim().toLowerCase() : address;
+    if (seen.has(key)) return;
+    seen.add(key);
+    result[field].push(typeof address === 'string' ? address.trim() : address);
+  };
+
+  for (const field of Object.keys(lists)) {
+    for (const item of lists[field]) {
+      const match = typeof item === 'string' && item.trim().match(/^group:(.+)$/i);
+      if (!match) {
+        addAddress(field, item);
+        continue;
+      }
+      const group = await ContactGroup.findByReference(userId, match[1].trim());
+      if (!group) return { error: `Contact group not found: ${match[1].trim()}` };
+      const members = await group.memberAddresses();
+      if (members.length === 0) return { error: `Contact group "${group.name}" has no members` };
+      members.forEach(address => addAddress(field, address));
+      if (!result.groups.some(g => g.groupId.equals(group._id) && g.field === field)) {
+        result.groups.push({ groupId: group._id, name: group.name, field });
+      }
+    }
+  }
+  await canonicalizeAddresses({ recipients: result.recipients, cc: result.cc, bcc: result.bcc });
+  return result;
+};
+
+// Gửi email chưa lưu hoặc bản nháp: hẹn giờ, giữ trong thời gian hoàn tác hoặc phát ngay.
+// Trả về nội dung phản hồi cho client.
+const sendEmail = async (email, user, sendAt, io) => {
+  const undoUntil = !sendAt && user.undoSendSeconds > 0
+    ? new Date(Date.now() + user.undoSendSeconds * 1000)
+    : null;
+  const holdUntil = sendAt || undoUntil;
+
+  email.sentAt = holdUntil || new Date();
+  email.scheduledAt = holdUntil || undefined;
+  email.draftSavedAt = undefined;
+  email.messageId = email.messageId || generateMessageId();
+  email.threadId = email.threadId || generateThreadId();
+  await email.save();
+
+  // Hẹn gửi: giữ email trong thư mục Scheduled, bộ hẹn giờ sẽ phát tới người nhận khi đến hạn
+  if (sendAt) {
+    const scheduledEntry = await holdForDelivery(email, user, 'scheduled', sendAt);
+    return { message: 'Email scheduled successfully', emailId: scheduledEntry._id, sendAt };
+  }
+
+  // Hoàn tác gửi: chưa tạo bản của người nhận cho tới khi hết thời gian hoàn tác
+  if (undoUntil) {
+    const outboxEntry = await holdForDelivery(email, user, 'outbox', undoUntil);
+    return { message: 'Email queued for sending', emailId: outboxEntry._id, undoUntil };
+  }
 
+  // Người nhận được thêm vào danh bạ (hoặc tăng số lần liên hệ) khi email thực sự được gửi;
+  // email hẹn giờ / hoàn tác được ghi nhận bởi bộ hẹn giờ
+  await Contact.recordSent(user, [...email.recipients, ...(email.cc || []), ...(email.bcc || [])]);
+  const { sentEntry } = await deliverEmail(email, user, { io });
+  return { message: 'Email sent successfully', emailId: sentEntry._id };
+};
+
+// Đọc các trường của bản nháp có trong request (recipients, cc, bcc có thể là chuỗi JSON)
+const parseDraftFields = (body) => {
+  const fields = {};
+  const names = { recipients: 'Recipients', cc: 'CC', bcc: 'BCC' };
+  for (const key of Object.keys(names)) {
+    if (body[key] === undefined) continue;
+    let value = body[key];
+    if (value && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (err) {
+        return { error: 'Invalid JSON format in recipients, cc, or bcc' };
+      }
+    }
+    if (value && !Array.isArray(value)) return { error: `${names[key]} must be an array` };
+    fields[key] = value || [];
+  }
+  if (body.subject !== undefined) fields.subject = body.subject || '';
+  if (body.body !== undefined) fields.body = body.body || '';
+  return { fields };
+};
+
+// Gửi email
+router.post('/send', authenticateToken, ensureEmailVerified, uploadAttachmentFiles, async (req, res) => {
   let { recipients, cc, bcc, subject, body } = req.body;
+  const sendAt = parseSendAt(req.body.sendAt);
 
   // Parse JSON strings if provided
   try {
@@ -87,305 +294,247 @@ router.post('/send', authenticateToken, ensureEmailVerified, upload.array('attac
   if (recipients.length === 0) {
     return res.status(400).json({ error: 'At least one valid recipient is required' });
   }
+  if (sendAt) {
+    const sendAtError = validateSendAt(sendAt);
+    if (sendAtError) return res.status(400).json({ error: sendAtError });
+  }
 
   try {
-    // Kiểm tra người nhận, CC, BCC
-    const allEmails = [...new Set([...recipients, ...cc, ...bcc])]; // Loại bỏ trùng lặp
-    const recipientUsers = await User.find({ email: { $in: allEmails }, isEmailVerified: true });
-    const validEmails = new Set(recipientUsers.map(u => u.email));
+    // Mở rộng nhóm liên hệ thành địa chỉ thành viên
+    const expanded = await expandRecipientGroups(req.user._id, { recipients, cc, bcc });
+    if (expanded.error) return res.status(400).json({ error: expanded.error });
+    ({ recipients, cc, bcc } = expanded);
 
-    if (!recipients.every(email => validEmails.has(email))) {
-      return res.status(400).json({ error: 'Some recipients not found or unverified' });
-    }
-    if (cc.length > 0 && !cc.every(c => validEmails.has(c))) {
-      return res.status(400).json({ error: 'Some CC recipients not found or unverified' });
-    }
-    if (bcc.length > 0 && !bcc.every(b => validEmails.has(b))) {
-      return res.status(400).json({ error: 'Some BCC recipients not found or unverified' });
-    }
+    // Kiểm tra người nhận, CC, BCC
+    const recipientError = await findRecipientError(recipients, cc, bcc);
+    if (recipientError) return res.status(400).json({ error: recipientError });
 
     // Xử lý đính kèm
-    const attachments = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        const result = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            { folder: 'email_app', resource_type: 'auto' },
-            (error, result) => error ? reject(error) : resolve(result)
-          );
-          uploadStream.end(file.buffer);
-        });
-        attachments.push({
-          url: result.secure_url,
-          filename: file.originalname,
-          size: file.size
-        });
-      }
-    }
+    const attachments = await uploadAttachments(req.files);
 
-    // Lưu email vào thư mục Sent của người gửi
+    // Lưu nội dung email một lần, sau đó tạo mục hộp thư cho người gửi và người nhận
     const sentEmail = new Email({
       sender: req.user.email,
       recipients,
       cc,
       bcc,
+      recipientGroups: expanded.groups,
       subject,
       body,
-      attachments,
-      folder: 'sent',
-      sentAt: new Date()
+      attachments
     });
-    await sentEmail.save();
 
-    // Lấy io từ app
-    const io = req.app.get('io');
-
-    // Kiểm tra spam
-    const isSpam = await detectSpam(sentEmail, req.user.email);
+    res.json(await sendEmail(sentEmail, req.user, sendAt, req.app.get('io')));
+  } catch (err) {
+    console.error('Send email error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
 
-    // Lưu email vào Inbox hoặc Spam của người nhận
-    for (const recipient of recipients) {
-      // Đảm bảo nhãn "Spam" tồn tại cho người nhận
-      const recipientUser = recipientUsers.find(u => u.email === recipient);
-      let spamLabel = null;
-      if (isSpam && recipientUser) {
-        spamLabel = await Label.ensureSpamLabel(recipientUser._id);
-      }
+// Hoàn tác gửi email trong thời gian cho phép, email được chuyển về thư mục Draft
+router.post('/undo/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
 
-      const inboxEmail = new Email({
-        sender: req.user.email,
-        recipients: [recipient],
-        cc,
-        bcc,
-        subject,
-        body,
-        attachments,
-        folder: isSpam ? 'spam' : 'inbox',
-        sentAt: sentEmail.sentAt,
-        isSpam,
-        labels: isSpam && spamLabel ? [spamLabel._id] : []
-      });
-      await inboxEmail.save();
-
-      // Gửi thông báo qua WebSocket
-      if (io) {
-        try {
-          io.to(recipient).emit('newEmail', {
-            sender: req.user.email,
-            subject,
-            sentAt: inboxEmail.sentAt,
-            isSpam
-          });
-        } catch (wsErr) {
-          console.error('WebSocket error for recipient', recipient, wsErr.message, wsErr.stack);
-        }
-      } else {
-        console.warn('Socket.IO not initialized, skipping WebSocket notification for recipient:', recipient);
-      }
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
 
-      // Kiểm tra và gửi Auto Reply (chỉ nếu không phải spam)
-      if (!isSpam && recipientUser) {
-        const autoReply = await AutoReply.findOne({ userId: recipientUser._id });
-        if (autoReply && autoReply.enabled && recipientUser.isEmailVerified) {
-          const replyEmail = new Email({
-            sender: recipient,
-            recipients: [req.user.email],
-            subject: `Auto Reply: ${subject}`,
-            body: autoReply.message,
-            folder: 'sent',
-            sentAt: new Date()
-          });
-          await replyEmail.save();
-
-          const senderInboxEmail = new Email({
-            sender: recipient,
-            recipients: [req.user.email],
-            subject: `Auto Reply: ${subject}`,
-            body: autoReply.message,
-            folder: 'inbox',
-            sentAt: replyEmail.sentAt
-          });
-          await senderInboxEmail.save();
-
-          if (io) {
-            try {
-              io.to(req.user.email).emit('newEmail', {
-                sender: recipient,
-                subject: `Auto Reply: ${subject}`,
-                sentAt: senderInboxEmail.sentAt
-              });
-            } catch (wsErr) {
-              console.error('WebSocket error for auto-reply', req.user.email, wsErr.message, wsErr.stack);
-            }
-          } else {
-            console.warn('Socket.IO not initialized, skipping WebSocket notification for auto-reply:', req.user.email);
-          }
-        }
-      }
+    const draftSavedAt = new Date();
+    const entry = await MailboxEntry.findOneAndUpdate(
+      { _id: emailId, userId: req.user._id, folder: 'outbox' },
+      { folder: 'draft', sentAt: draftSavedAt },
+      { new: true }
+    ).populate('email');
+    if (!entry) {
+      const exists = await MailboxEntry.exists({ _id: emailId, userId: req.user._id });
+      if (exists) return res.status(409).json({ error: 'Undo window has expired, email already sent' });
+      return res.status(404).json({ error: 'Email not found or unauthorized' });
     }
 
-    // Lưu email vào Inbox hoặc Spam của CC
-    for (const ccEmail of cc) {
-      const recipientUser = recipientUsers.find(u => u.email === ccEmail);
-      let spamLabel = null;
-      if (isSpam && recipientUser) {
-        spamLabel = await Label.ensureSpamLabel(recipientUser._id);
-      }
+    entry.email.scheduledAt = undefined;
+    entry.email.draftSavedAt = draftSavedAt;
+    await entry.email.save();
 
-      const ccInboxEmail = new Email({
-        sender: req.user.email,
-        recipients: [ccEmail],
-        cc,
-        bcc,
-        subject,
-        body,
-        attachments,
-        folder: isSpam ? 'spam' : 'inbox',
-        sentAt: sentEmail.sentAt,
-        isSpam,
-        labels: isSpam && spamLabel ? [spamLabel._id] : []
-      });
-      await ccInboxEmail.save();
-
-      if (io) {
-        try {
-          io.to(ccEmail).emit('newEmail', {
-            sender: req.user.email,
-            subject,
-            sentAt: ccInboxEmail.sentAt,
-            isSpam
-          });
-        } catch (wsErr) {
-          console.error('WebSocket error for CC', ccEmail, wsErr.message, wsErr.stack);
-        }
-      } else {
-        console.warn('Socket.IO not initialized, skipping WebSocket notification for CC:', ccEmail);
-      }
-    }
+    res.json({ message: 'Sending undone, email moved to drafts', emailId: entry._id });
+  } catch (err) {
+    console.error('Undo send error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    // Lưu email vào Inbox hoặc Spam của BCC
-    for (const bccEmail of bcc) {
-      const recipientUser = recipientUsers.find(u => u.email === bccEmail);
-      let spamLabel = null;
-      if (isSpam && recipientUser) {
-        spamLabel = await Label.ensureSpamLabel(recipientUser._id);
-      }
+// Lưu bản nháp
+router.post('/save-draft', authenticateToken, ensureEmailVerified, uploadAttachmentFiles, async (req, res) => {
+  const { fields, error } = parseDraftFields(req.body);
+  if (error) return res.status(400).json({ error });
 
-      const bccInboxEmail = new Email({
-        sender: req.user.email,
-        recipients: [bccEmail],
-        cc,
-        bcc,
-        subject,
-        body,
-        attachments,
-        folder: isSpam ? 'spam' : 'inbox',
-        sentAt: sentEmail.sentAt,
-        isSpam,
-        labels: isSpam && spamLabel ? [spamLabel._id] : []
-      });
-      await bccInboxEmail.save();
-
-      if (io) {
-        try {
-          io.to(bccEmail).emit('newEmail', {
-            sender: req.user.email,
-            subject,
-            sentAt: bccInboxEmail.sentAt,
-            isSpam
-          });
-        } catch (wsErr) {
-          console.error('WebSocket error for BCC', bccEmail, wsErr.message, wsErr.stack);
-        }
-      } else {
-        console.warn('Socket.IO not initialized, skipping WebSocket notification for BCC:', bccEmail);
+  try {
+    const expanded = await expandRecipientGroups(req.user._id, fields);
+    if (expanded.error) return res.status(400).json({ error: expanded.error });
+
+    // Bản nháp trả lời/chuyển tiếp giữ liên kết hội thoại với email gốc; bản nháp mới bắt đầu hội thoại riêng
+    const { replyToEmailId, forwardEmailId } = req.body;
+    let threadFields = { messageId: generateMessageId(), threadId: generateThreadId() };
+    const originalId = replyToEmailId || forwardEmailId;
+    if (originalId) {
+      if (!mongoose.isValidObjectId(originalId)) {
+        return res.status(400).json({ error: 'Invalid original email ID' });
       }
+      const originalEntry = await findOwnEntry(originalId, req.user._id);
+      if (!originalEntry) return res.status(404).json({ error: 'Original email not found' });
+      threadFields = buildThreadFields(originalEntry.email);
     }
 
-    res.json({ message: 'Email sent successfully' });
+    const attachments = await uploadAttachments(req.files);
+
+    const draftEmail = new Email({
+      sender: req.user.email,
+      ...fields,
+      recipients: expanded.recipients,
+      cc: expanded.cc,
+      bcc: expanded.bcc,
+      recipientGroups: expanded.groups,
+      attachments,
+      draftSavedAt: Date.now(),
+      ...threadFields
+    });
+    await draftEmail.save();
+
+    const draftEntry = new MailboxEntry({
+      userId: req.user._id,
+      email: draftEmail._id,
+      role: 'sender',
+      folder: 'draft',
+      isRead: true,
+      threadId: draftEmail.threadId,
+      sentAt: draftEmail.draftSavedAt
+    });
+    await draftEntry.save();
+    res.json({ message: 'Draft saved successfully', emailId: draftEntry._id });
   } catch (err) {
-    console.error('Send email error:', err.message, err.stack);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    console.error('Save draft error:', err.message);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Lưu bản nháp
-router.post('/save-draft', authenticateToken, ensureEmailVerified, upload.array('attachments', 5), async (req, res) => {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-  });
+// Cập nhật bản nháp (tự động lưu), có thể thêm/xóa tệp đính kèm
+router.put('/drafts/:emailId', authenticateToken, ensureEmailVerified, uploadAttachmentFiles, async (req, res) => {
+  const { emailId } = req.params;
+  const { fields, error } = parseDraftFields(req.body);
+  if (error) return res.status(400).json({ error });
 
-  let { recipients, cc, bcc, subject, body } = req.body;
+  // ID của các tệp đính kèm cần xóa
+  let { removeAttachments = [] } = req.body;
+  try {
+    if (typeof removeAttachments === 'string') removeAttachments = JSON.parse(removeAttachments);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid JSON format in removeAttachments' });
+  }
+  if (!Array.isArray(removeAttachments)) {
+    return res.status(400).json({ error: 'removeAttachments must be an array of attachment IDs' });
+  }
 
   try {
-    if (recipients && typeof recipients === 'string') {
-      recipients = JSON.parse(recipients);
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const entry = await MailboxEntry.findOne({ _id: emailId, userId: req.user._id, folder: 'draft' }).populate('email');
+    if (!entry) return res.status(404).json({ error: 'Draft not found or unauthorized' });
+
+    const draft = entry.email;
+    // Danh sách không gửi lên giữ nguyên; nhóm đã dùng của các danh sách đó cũng được giữ lại
+    const expanded = await expandRecipientGroups(req.user._id, {
+      recipients: fields.recipients || draft.recipients,
+      cc: fields.cc || draft.cc,
+      bcc: fields.bcc || draft.bcc
+    });
+    if (expanded.error) return res.status(400).json({ error: expanded.error });
+    const keptGroups = (draft.recipientGroups || []).filter(g => fields[g.field] === undefined);
+    Object.assign(draft, fields, {
+      recipients: expanded.recipients,
+      cc: expanded.cc,
+      bcc: expanded.bcc,
+      recipientGroups: [...keptGroups, ...expanded.groups]
+    });
+    const removeIds = removeAttachments.map(String);
+    const removed = draft.attachments.filter(a => removeIds.includes(a._id.toString()));
+    draft.attachments = draft.attachments.filter(a => !removeIds.includes(a._id.toString()));
+    draft.attachments.push(...await uploadAttachments(req.files));
+    draft.draftSavedAt = new Date();
+    await draft.save();
+    await releaseAttachments(removed);
+
+    entry.sentAt = draft.draftSavedAt;
+    await entry.save();
+
+    res.json({ message: 'Draft updated successfully', draft: entry.toView(req.user.email) });
+  } catch (err) {
+    console.error('Update draft error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Gửi bản nháp: kiểm tra nội dung đã lưu, gửi đi và xóa khỏi thư mục Draft
+router.post('/drafts/:emailId/send', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+  const sendAt = parseSendAt(req.body.sendAt);
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const entry = await MailboxEntry.findOne({ _id: emailId, userId: req.user._id, folder: 'draft' }).populate('email');
+    if (!entry) return res.status(404).json({ error: 'Draft not found or unauthorized' });
+
+    const draft = entry.email;
+    if (draft.recipients.length === 0) {
+      return res.status(400).json({ error: 'At least one valid recipient is required' });
     }
-    if (cc && typeof cc === 'string') {
-      cc = JSON.parse(cc);
+    if (!draft.subject || !draft.body) {
+      return res.status(400).json({ error: 'Draft must have a subject and body before sending' });
     }
-    if (bcc && typeof bcc === 'string') {
-      bcc = JSON.parse(bcc);
+    if (sendAt) {
+      const sendAtError = validateSendAt(sendAt);
+      if (sendAtError) return res.status(400).json({ error: sendAtError });
     }
+
+    const recipientError = await findRecipientError(draft.recipients, draft.cc, draft.bcc);
+    if (recipientError) return res.status(400).json({ error: recipientError });
+
+    const result = await sendEmail(draft, req.user, sendAt, req.app.get('io'));
+    await MailboxEntry.deleteOne({ _id: entry._id });
+
+    res.json(result);
   } catch (err) {
-    console.error('JSON parse error in save-draft:', err.message);
-    return res.status(400).json({ error: 'Invalid JSON format in recipients, cc, or bcc' });
+    console.error('Send draft error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error', details: err.message });
   }
+});
+
+// Xóa bản nháp
+router.delete('/drafts/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
 
   try {
-    if (recipients && !Array.isArray(recipients)) {
-      return res.status(400).json({ error: 'Recipients must be an array' });
-    }
-    if (cc && !Array.isArray(cc)) {
-      return res.status(400).json({ error: 'CC must be an array' });
-    }
-    if (bcc && !Array.isArray(bcc)) {
-      return res.status(400).json({ error: 'BCC must be an array' });
-    }
-
-    const attachments = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        const result = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            { folder: 'email_app_attachments' },
-            (error, result) => error ? reject(error) : resolve(result)
-          );
-          uploadStream.end(file.buffer);
-        });
-        attachments.push({ url: result.secure_url, filename: file.originalname, size: file.size });
-      }
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
     }
 
-    const draftEmail = new Email({
-      sender: req.user.email,
-      recipients: recipients || [],
-      cc: cc || [],
-      bcc: bcc || [],
-      subject: subject || '',
-      body: body || '',
-      attachments,
-      folder: 'draft',
-      draftSavedAt: Date.now()
-    });
-    await draftEmail.save();
-    res.json({ message: 'Draft saved successfully', emailId: draftEmail._id });
+    const entry = await MailboxEntry.findOne({ _id: emailId, userId: req.user._id, folder: 'draft' });
+    if (!entry) return res.status(404).json({ error: 'Draft not found or unauthorized' });
+
+    await deleteEntry(entry);
+    res.json({ message: 'Draft deleted' });
   } catch (err) {
-    console.error('Save draft error:', err.message);
+    console.error('Delete draft error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Trả lời email
-router.post('/reply/:emailId', authenticateToken, ensureEmailVerified, upload.array('attachments', 5), async (req, res) => {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-  });
-
+router.post('/reply/:emailId', authenticateToken, ensureEmailVerified, uploadAttachmentFiles, async (req, res) => {
   const { emailId } = req.params;
   const { body } = req.body;
 
@@ -393,74 +542,35 @@ router.post('/reply/:emailId', authenticateToken, ensureEmailVerified, upload.ar
   const cleanEmailId = emailId.replace(/[<|>]/g, '');
 
   try {
-    const originalEmail = await Email.findById(cleanEmailId);
-    if (!originalEmail) return res.status(404).json({ error: 'Email not found' });
-
-    const recipientUser = await User.findOne({ email: originalEmail.sender, isEmailVerified: true });
-    if (!recipientUser) return res.status(400).json({ error: 'Recipient email not found or unverified' });
-
-    const attachments = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        const result = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            { folder: 'email_app_attachments' },
-            (error, result) => error ? reject(error) : resolve(result)
-          );
-          uploadStream.end(file.buffer);
-        });
-        attachments.push({
-          url: result.secure_url,
-          filename: file.originalname,
-          size: file.size
-        });
-      }
+    if (!mongoose.isValidObjectId(cleanEmailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
     }
 
-    const replyEmail = new Email({
-      sender: req.user.email,
-      recipients: [originalEmail.sender],
-      subject: `Re: ${originalEmail.subject}`,
-      body: `${body}<br><br>--- Original Message ---<br>${originalEmail.body}`,
-      attachments,
-      folder: 'sent'
-    });
+    const originalEntry = await findOwnEntry(cleanEmailId, req.user._id);
+    if (!originalEntry) return res.status(404).json({ error: 'Email not found' });
+    const originalEmail = originalEntry.email;
 
-    // Check if reply is spam
-    const isSpam = await detectSpam(replyEmail, req.user.email);
-    let spamLabel = null;
-    if (isSpam) {
-      spamLabel = await Label.ensureSpamLabel(recipientUser._id);
+    if (await findRecipientError([originalEmail.sender], [], [])) {
+      return res.status(400).json({ error: 'Recipient email not found or unverified' });
     }
 
-    await replyEmail.save();
+    const attachments = await uploadAttachments(req.files);
 
-    const recipientInboxEmail = new Email({
+    const replyEmail = new Email({
       sender: req.user.email,
       recipients: [originalEmail.sender],
       subject: `Re: ${originalEmail.subject}`,
       body: `${body}<br><br>--- Original Message ---<br>${originalEmail.body}`,
       attachments,
-      folder: isSpam ? 'spam' : 'inbox',
-      isSpam,
-      labels: isSpam && spamLabel ? [spamLabel._id] : []
+      sentAt: new Date(),
+      ...buildThreadFields(originalEmail)
     });
-    await recipientInboxEmail.save();
-
-    // Lấy io từ req.app
-    const io = req.app.get('io');
-    if (io) {
-      io.to(originalEmail.sender).emit('newEmail', {
-        sender: req.user.email,
-        subject: `Re: ${originalEmail.subject}`,
-        sentAt: recipientInboxEmail.sentAt,
-        isSpam
-      });
-    } else {
-      console.warn('Socket.IO not initialized, skipping WebSocket notification');
-    }
+    await replyEmail.save();
+
+    await Contact.recordSent(req.user, replyEmail.recipients);
+    const { sentEntry } = await deliverEmail(replyEmail, req.user, { io: req.app.get('io') });
 
-    res.json({ message: 'Reply sent successfully' });
+    res.json({ message: 'Reply sent successfully', emailId: sentEntry._id });
   } catch (err) {
     console.error('Reply email error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
@@ -468,13 +578,7 @@ router.post('/reply/:emailId', authenticateToken, ensureEmailVerified, upload.ar
 });
 
 // Chuyển tiếp email
-router.post('/forward/:emailId', authenticateToken, ensureEmailVerified, upload.array('attachments', 5), async (req, res) => {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-  });
-
+router.post('/forward/:emailId', authenticateToken, ensureEmailVerified, uploadAttachmentFiles, async (req, res) => {
   const { emailId } = req.params;
   let { recipients, body } = req.body;
 
@@ -492,85 +596,41 @@ router.post('/forward/:emailId', authenticateToken, ensureEmailVerified, upload.
   }
 
   try {
-    const originalEmail = await Email.findById(emailId);
-    if (!originalEmail) return res.status(404).json({ error: 'Email not found' });
-
-    const recipientUsers = await User.find({ email: { $in: recipients }, isEmailVerified: true });
-    if (recipientUsers.length !== recipients.length) {
-      return res.status(400).json({ error: 'Some recipients not found or unverified' });
-    }
-
-    const attachments = originalEmail.attachments || [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        const result = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            { folder: 'email_app_attachments' },
-            (error, result) => error ? reject(error) : resolve(result)
-          );
-          uploadStream.end(file.buffer);
-        });
-        attachments.push({
-          url: result.secure_url,
-          filename: file.originalname,
-          size: file.size
-        });
-      }
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
     }
 
+    const originalEntry = await findOwnEntry(emailId, req.user._id);
+    if (!originalEntry) return res.status(404).json({ error: 'Email not found' });
+    const originalEmail = originalEntry.email;
+
+    const expanded = await expandRecipientGroups(req.user._id, { recipients });
+    if (expanded.error) return res.status(400).json({ error: expanded.error });
+    recipients = expanded.recipients;
+
+    const recipientError = await findRecipientError(recipients, [], []);
+    if (recipientError) return res.status(400).json({ error: recipientError });
+
+    // Bản chuyển tiếp dùng chung tệp với email gốc
+    const attachments = await copyAttachments(originalEmail.attachments);
+    attachments.push(...await uploadAttachments(req.files));
+
     const forwardEmail = new Email({
       sender: req.user.email,
       recipients,
+      recipientGroups: expanded.groups,
       subject: `Fwd: ${originalEmail.subject}`,
       body: `${body || ''}<br><br>--- Forwarded Message ---<br>${originalEmail.body}`,
       attachments,
-      folder: 'sent'
+      sentAt: new Date(),
+      ...buildThreadFields(originalEmail)
     });
-
-    // Check if forwarded email is spam
-    const isSpam = await detectSpam(forwardEmail, req.user.email);
-
     await forwardEmail.save();
 
-    // Lấy io từ req.app
-    const io = req.app.get('io');
-
-    for (const recipient of recipients) {
-      const recipientUser = recipientUsers.find(u => u.email === recipient);
-      let spamLabel = null;
-      if (isSpam && recipientUser) {
-        spamLabel = await Label.ensureSpamLabel(recipientUser._id);
-      }
-
-      const recipientInboxEmail = new Email({
-        sender: req.user.email,
-        recipients: [recipient],
-        subject: `Fwd: ${originalEmail.subject}`,
-        body: `${body || ''}<br><br>--- Forwarded Message ---<br>${originalEmail.body}`,
-        attachments,
-        folder: isSpam ? 'spam' : 'inbox',
-        isSpam,
-        labels: isSpam && spamLabel ? [spamLabel._id] : []
-      });
-      await recipientInboxEmail.save();
-
-      if (io) {
-        try {
-          io.to(recipient).emit('newEmail', {
-            sender: req.user.email,
-            subject: `Fwd: ${originalEmail.subject}`,
-            sentAt: recipientInboxEmail.sentAt,
-            isSpam
-          });
-        } catch (wsErr) {
-          console.error('WebSocket error for recipient', recipient, wsErr.message, wsErr.stack);
-        }
-      } else {
-        console.warn('Socket.IO not initialized, skipping WebSocket notification for recipient:', recipient);
-      }
-    }
+    await Contact.recordSent(req.user, forwardEmail.recipients);
+    const { sentEntry } = await deliverEmail(forwardEmail, req.user, { io: req.app.get('io') });
 
-    res.json({ message: 'Email forwarded successfully' });
+    res.json({ message: 'Email forwarded successfully', emailId: sentEntry._id });
   } catch (err) {
     console.error('Forward email error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error', details: err.message });
@@ -581,47 +641,13 @@ router.post('/forward/:emailId', authenticateToken, ensureEmailVerified, upload.
 router.get('/list/:folder', authenticateToken, ensureEmailVerified, async (req, res) => {
   const { folder } = req.params;
   const { labelId, page = 1, limit = 20 } = req.query;
-  const userEmail = req.user.email;
 
   try {
-    const validFolders = ['inbox', 'sent', 'draft', 'starred', 'trash', 'spam']; // Added 'spam'
     if (!validFolders.includes(folder)) {
       return res.status(400).json({ error: 'Invalid folder name' });
     }
 
-    let query = {};
-    switch (folder) {
-      case 'inbox':
-        query = {
-          $or: [{ recipients: userEmail }, { cc: userEmail }, { bcc: userEmail }],
-          folder: 'inbox'
-        };
-        break;
-      case 'sent':
-        query = { sender: userEmail, folder: 'sent' };
-        break;
-      case 'draft':
-        query = { sender: userEmail, folder: 'draft' };
-        break;
-      case 'trash':
-        query = {
-          $or: [{ sender: userEmail }, { recipients: userEmail }, { cc: userEmail }, { bcc: userEmail }],
-          folder: 'trash'
-        };
-        break;
-      case 'starred':
-        query = {
-          $or: [{ sender: userEmail }, { recipients: userEmail }, { cc: userEmail }, { bcc: userEmail }],
-          isStarred: true
-        };
-        break;
-      case 'spam':
-        query = {
-          $or: [{ recipients: userEmail }, { cc: userEmail }, { bcc: userEmail }],
-          folder: 'spam'
-        };
-        break;
-    }
+    const query = buildFolderQuery(folder, req.user._id);
 
     if (labelId) {
       if (!mongoose.isValidObjectId(labelId)) {
@@ -633,204 +659,497 @@ router.get('/list/:folder', authenticateToken, ensureEmailVerified, async (req,
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
 
-    const selectFields = 'sender recipients cc bcc subject sentAt draftSavedAt isRead isStarred isSpam labels';
-
-    const emails = await Email.find(query)
-      .select(selectFields)
-      .sort({ sentAt: -1, draftSavedAt: -1 })
+    const entries = await MailboxEntry.find(query)
+      .sort({ sentAt: -1 })
       .skip((pageNum - 1) * limitNum)
       .limit(limitNum)
+      .populate('email', '-body')
       .populate('labels', 'name');
 
-    res.json(emails);
+    res.json(entries.map(entry => entry.toView(req.user.email, { includeBody: false })));
   } catch (err) {
     console.error('List emails error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Đánh dấu email là đã đọc/chưa đọc
-router.patch('/mark-read/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+// Gom các mục của cùng một email (tự gửi cho chính mình), ưu tiên mục của người nhận
+const collectThreadMessages = (entries) => {
+  const byEmail = new Map();
+  for (const entry of entries) {
+    const key = entry.email._id.toString();
+    const existing = byEmail.get(key);
+    if (!existing || (existing.role === 'sender' && entry.role !== 'sender')) {
+      byEmail.set(key, entry);
+    }
+  }
+  return [...byEmail.values()].sort((a, b) => a.sentAt - b.sentAt);
+};
+
+// Tóm tắt một hội thoại: số email, người tham gia, đoạn trích mới nhất, trạng thái chưa đọc
+const summarizeThread = (threadId, entries) => {
+  const latest = entries[entries.length - 1];
+  const participants = new Set();
+  entries.forEach(({ email }) => [email.sender, ...email.recipients, ...(email.cc || [])].forEach(p => participants.add(p)));
+  const unreadCount = entries.filter(e => !e.isRead && e.role !== 'sender').length;
+
+  return {
+    threadId,
+    subject: entries[0].email.subject,
+    messageCount: entries.length,
+    participants: [...participants],
+    snippet: makeSnippet(latest.email.body),
+    latestEmailId: latest._id,
+    lastMessageAt: latest.sentAt,
+    unreadCount,
+    isUnread: unreadCount > 0,
+    isStarred: entries.some(e => e.isStarred),
+    hasAttachments: entries.some(e => e.email.attachments && e.email.attachments.length > 0)
+  };
+};
+
+// Lấy danh sách hội thoại theo thư mục
+router.get('/threads/:folder', authenticateToken, ensureEmailVerified, async (req, res, next) => {
+  const { folder } = req.params;
+  // Không phải tên thư mục: chuyển sang route xem chi tiết hội thoại
+  if (!validFolders.includes(folder)) return next();
+
+  const { labelId, page = 1, limit = 20 } = req.query;
+
+  try {
+    const query = buildFolderQuery(folder, req.user._id);
+    if (labelId) {
+      if (!mongoose.isValidObjectId(labelId)) {
+        return res.status(400).json({ error: 'Invalid label ID' });
+      }
+      query.labels = new mongoose.Types.ObjectId(labelId);
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    // Các hội thoại có email trong thư mục, sắp xếp theo email mới nhất
+    const threadPage = await MailboxEntry.aggregate([
+      { $match: query },
+      { $group: { _id: '$threadId', lastMessageAt: { $max: '$sentAt' } } },
+      { $sort: { lastMessageAt: -1 } },
+      { $skip: (pageNum - 1) * limitNum },
+      { $limit: limitNum }
+    ]);
+
+    const threadIds = threadPage.map(t => t._id);
+    const threadQuery = { userId: req.user._id, threadId: { $in: threadIds } };
+    // Email trong Trash / Spam không được tính vào hội thoại của các thư mục khác
+    if (folder !== 'trash' && folder !== 'spam') threadQuery.folder = { $nin: ['trash', 'spam'] };
+    const entries = await MailboxEntry.find(threadQuery).populate('email');
+
+    const threads = threadIds.map(threadId => {
+      const threadEntries = entries.filter(e => e.threadId === threadId);
+      return summarizeThread(threadId, collectThreadMessages(threadEntries));
+    });
+
+    res.json(threads);
+  } catch (err) {
+    console.error('List threads error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Xem toàn bộ hội thoại
+router.get('/threads/:threadId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { threadId } = req.params;
+
+  try {
+    const entries = await MailboxEntry.find({ userId: req.user._id, threadId })
+      .populate('email')
+      .populate('labels', 'name');
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'Thread not found or unauthorized' });
+    }
+
+    const messages = collectThreadMessages(entries);
+    const { messageCount, participants, subject, unreadCount } = summarizeThread(threadId, messages);
+
+    res.json({
+      threadId,
+      subject,
+      messageCount,
+      participants,
+      unreadCount,
+      messages: messages.map(entry => entry.toView(req.user.email))
+    });
+  } catch (err) {
+    console.error('Get thread error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lấy danh sách email hẹn gửi, sắp xếp theo thời gian gửi gần nhất
+router.get('/scheduled', authenticateToken, ensureEmailVerified, async (req, res) => {
+  try {
+    const entries = await MailboxEntry.find({ userId: req.user._id, folder: 'scheduled' })
+      .sort({ sentAt: 1 })
+      .populate('email', '-body')
+      .populate('labels', 'name');
+
+    res.json(entries.map(entry => entry.toView(req.user.email, { includeBody: false })));
+  } catch (err) {
+    console.error('List scheduled emails error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Đổi thời gian hẹn gửi
+router.patch('/scheduled/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+  const sendAt = parseSendAt(req.body.sendAt);
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+    if (!sendAt) {
+      return res.status(400).json({ error: 'sendAt is required' });
+    }
+    const sendAtError = validateSendAt(sendAt);
+    if (sendAtError) return res.status(400).json({ error: sendAtError });
+
+    // Chỉ đổi được khi email vẫn còn trong Scheduled (chưa được bộ hẹn giờ gửi đi)
+    const entry = await MailboxEntry.findOneAndUpdate(
+      { _id: emailId, userId: req.user._id, folder: 'scheduled' },
+      { sentAt: sendAt },
+      { new: true }
+    ).populate('email');
+    if (!entry) {
+      return res.status(404).json({ error: 'Scheduled email not found or already sent' });
+    }
+
+    entry.email.scheduledAt = sendAt;
+    entry.email.sentAt = sendAt;
+    await entry.email.save();
+    wakeSchedulerAt(sendAt);
+
+    res.json({ message: 'Email rescheduled successfully', emailId: entry._id, sendAt });
+  } catch (err) {
+    console.error('Reschedule email error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Hủy hẹn gửi, email được chuyển về thư mục Draft
+router.delete('/scheduled/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const draftSavedAt = new Date();
+    const entry = await MailboxEntry.findOneAndUpdate(
+      { _id: emailId, userId: req.user._id, folder: 'scheduled' },
+      { folder: 'draft', sentAt: draftSavedAt },
+      { new: true }
+    ).populate('email');
+    if (!entry) {
+      return res.status(404).json({ error: 'Scheduled email not found or already sent' });
+    }
+
+    entry.email.scheduledAt = undefined;
+    entry.email.draftSavedAt = draftSavedAt;
+    await entry.email.save();
+
+    res.json({ message: 'Scheduled send cancelled, email moved to drafts', emailId: entry._id });
+  } catch (err) {
+    console.error('Cancel scheduled email error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Đánh dấu email là đã đọc/chưa đọc
+router.patch('/mark-read/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+  const { isRead } = req.body;
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+    if (typeof isRead !== 'boolean') {
+      return res.status(400).json({ error: 'isRead must be a boolean' });
+    }
+
+    const updated = await MailboxEntry.updateOne({ _id: emailId, userId: req.user._id }, { isRead });
+    if (updated.matchedCount === 0) {
+      return res.status(404).json({ error: 'Email not found or unauthorized' });
+    }
+
+    res.json({ message: 'Email read status updated' });
+  } catch (err) {
+    console.error('Mark read error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Đánh dấu sao cho email
+router.patch('/star/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+  const { isStarred } = req.body;
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID format' });
+    }
+    if (typeof isStarred !== 'boolean') {
+      return res.status(400).json({ error: 'isStarred must be a boolean value' });
+    }
+
+    const entry = await MailboxEntry.findOneAndUpdate(
+      { _id: emailId, userId: req.user._id },
+      { isStarred },
+      { new: true }
+    ).populate('email', '-body').populate('labels');
+
+    if (!entry) {
+      return res.status(404).json({ 
+        error: 'Email not found or you are not authorized to modify it' 
+      });
+    }
+
+    res.json(entry.toView(req.user.email, { includeBody: false }));
+  } catch (err) {
+    console.error(`Star email error for emailId ${emailId}:`, err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Chuyển email vào thùng rác
+router.patch('/move-to-trash/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const entry = await MailboxEntry.findOne({ _id: emailId, userId: req.user._id });
+    if (!entry) {
+      return res.status(404).json({ error: 'Email not found or unauthorized' });
+    }
+
+    entry.moveToTrash();
+    await entry.save();
+
+    res.json({ message: 'Email moved to trash' });
+  } catch (err) {
+    console.error('Move to trash error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Khôi phục email từ thùng rác về thư mục trước khi bị xóa.
+// Email đang hẹn giờ / chờ gửi khi bị xóa sẽ về Draft thay vì được gửi lại
+router.patch('/restore/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
   const { emailId } = req.params;
-  const { isRead } = req.body;
 
   try {
     if (!mongoose.isValidObjectId(emailId)) {
       return res.status(400).json({ error: 'Invalid email ID' });
     }
-    if (typeof isRead !== 'boolean') {
-      return res.status(400).json({ error: 'isRead must be a boolean' });
-    }
 
-    const updated = await Email.updateOne(
-      {
-        _id: emailId,
-        $or: [
-          { sender: req.user.email },
-          { recipients: req.user.email },
-          { cc: req.user.email },
-          { bcc: req.user.email }
-        ]
-      },
-      { isRead }
-    );
-    if (updated.matchedCount === 0) {
+    const entry = await findOwnEntry(emailId, req.user._id);
+    if (!entry) {
       return res.status(404).json({ error: 'Email not found or unauthorized' });
     }
+    if (entry.folder !== 'trash') {
+      return res.status(400).json({ error: 'Email is not in trash' });
+    }
 
-    res.json({ message: 'Email read status updated' });
+    let folder = entry.previousFolder || (entry.role === 'sender' ? 'sent' : 'inbox');
+    if (folder === 'scheduled' || folder === 'outbox') {
+      const draftSavedAt = new Date();
+      entry.email.scheduledAt = undefined;
+      entry.email.draftSavedAt = draftSavedAt;
+      await entry.email.save();
+      entry.sentAt = draftSavedAt;
+      folder = 'draft';
+    }
+    entry.folder = folder;
+    await entry.save();
+
+    res.json({ message: 'Email restored', emailId: entry._id, folder });
   } catch (err) {
-    console.error('Mark read error:', err.message, err.stack);
+    console.error('Restore email error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Đánh dấu sao cho email
-router.patch('/star/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+// Đánh dấu Spam / Không phải spam: chuyển thư mục, cập nhật nhãn "Spam" và huấn luyện bộ phân loại
+const setSpamState = async (entry, isSpam) => {
+  const spamLabel = await Label.ensureSpamLabel(entry.userId);
+  entry.isSpam = isSpam;
+  entry.labels = entry.labels.filter(id => id.toString() !== spamLabel._id.toString());
+  if (isSpam) {
+    entry.labels.push(spamLabel._id);
+    entry.folder = 'spam';
+  } else if (entry.folder === 'spam') {
+    entry.folder = 'inbox';
+  }
+  await trainFromEntry(entry, isSpam);
+  await entry.save();
+};
+
+// Thêm người gửi vào danh sách chặn hoặc an toàn (và gỡ khỏi danh sách còn lại)
+const addSenderToList = (userId, address, list) => {
+  const other = list === 'blockedSenders' ? 'safeSenders' : 'blockedSenders';
+  address = address.toLowerCase();
+  return User.updateOne({ _id: userId }, { $addToSet: { [list]: address }, $pull: { [other]: address } });
+};
+
+// Báo cáo spam; blockSender: true để chặn người gửi
+router.post('/:emailId/report-spam', authenticateToken, ensureEmailVerified, async (req, res) => {
   const { emailId } = req.params;
-  const { isStarred } = req.body;
+  const { blockSender = false } = req.body;
 
   try {
     if (!mongoose.isValidObjectId(emailId)) {
-      return res.status(400).json({ error: 'Invalid email ID format' });
-    }
-    if (typeof isStarred !== 'boolean') {
-      return res.status(400).json({ error: 'isStarred must be a boolean value' });
+      return res.status(400).json({ error: 'Invalid email ID' });
     }
 
-    const email = await Email.findOneAndUpdate(
-      {
-        _id: emailId,
-        $or: [
-          { sender: req.user.email },
-          { recipients: req.user.email },
-          { cc: req.user.email },
-          { bcc: req.user.email }
-        ]
-      },
-      { isStarred },
-      { new: true, select: 'sender recipients subject sentAt isRead isStarred isSpam labels' }
-    ).populate('labels');
-
-    if (!email) {
-      return res.status(404).json({ 
-        error: 'Email not found or you are not authorized to modify it' 
-      });
+    const entry = await findOwnEntry(emailId, req.user._id);
+    if (!entry) return res.status(404).json({ error: 'Email not found or unauthorized' });
+    if (entry.role === 'sender') {
+      return res.status(400).json({ error: 'Cannot report your own email as spam' });
     }
 
-    res.json(email);
+    await setSpamState(entry, true);
+    if (blockSender === true) await addSenderToList(req.user._id, entry.email.sender, 'blockedSenders');
+
+    res.json({ message: 'Email reported as spam', senderBlocked: blockSender === true });
   } catch (err) {
-    console.error(`Star email error for emailId ${emailId}:`, err.message, err.stack);
+    console.error('Report spam error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Chuyển email vào thùng rác
-router.patch('/move-to-trash/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+// Không phải spam: trả email về Inbox; markSafe: true để thêm người gửi vào danh sách an toàn
+router.post('/:emailId/not-spam', authenticateToken, ensureEmailVerified, async (req, res) => {
   const { emailId } = req.params;
+  const { markSafe = false } = req.body;
 
   try {
     if (!mongoose.isValidObjectId(emailId)) {
       return res.status(400).json({ error: 'Invalid email ID' });
     }
 
-    const updated = await Email.updateOne(
-      {
-        _id: emailId,
-        $or: [
-          { sender: req.user.email },
-          { recipients: req.user.email },
-          { cc: req.user.email },
-          { bcc: req.user.email }
-        ]
-      },
-      { folder: 'trash' }
-    );
-    if (updated.matchedCount === 0) {
-      return res.status(404).json({ error: 'Email not found or unauthorized' });
+    const entry = await findOwnEntry(emailId, req.user._id);
+    if (!entry) return res.status(404).json({ error: 'Email not found or unauthorized' });
+    if (entry.role === 'sender') {
+      return res.status(400).json({ error: 'Cannot mark your own email as not spam' });
     }
 
-    res.json({ message: 'Email moved to trash' });
+    await setSpamState(entry, false);
+    if (markSafe === true) await addSenderToList(req.user._id, entry.email.sender, 'safeSenders');
+
+    res.json({ message: 'Email marked as not spam', senderMarkedSafe: markSafe === true });
   } catch (err) {
-    console.error('Move to trash error:', err.message, err.stack);
+    console.error('Not spam error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Tìm kiếm email
+// q hỗ trợ cú pháp kiểu Gmail (xem searchQuery.js); keyword/from/to/hasAttachment/startDate/endDate vẫn được hỗ trợ
 router.get('/search', authenticateToken, ensureEmailVerified, async (req, res) => {
-  const { keyword, from, to, hasAttachment, startDate, endDate } = req.query;
-  const userEmail = req.user.email;
+  const { q = '', keyword, from, to, hasAttachment, startDate, endDate, page = 1, limit = 20 } = req.query;
 
   try {
-    const matchConditions = {
-      $and: [
+    const parsed = parseSearchQuery(typeof q === 'string' ? q : '');
+    if (typeof keyword === 'string' && keyword) parsed.terms.push(...keyword.split(/\s+/).filter(Boolean));
+    if (typeof from === 'string' && from) parsed.filters.push({ op: 'from', value: from, negated: false });
+    if (typeof to === 'string' && to) parsed.filters.push({ op: 'to', value: to, negated: false });
+    if (hasAttachment === 'true') parsed.filters.push({ op: 'has', value: 'attachment', negated: false });
+    if (typeof startDate === 'string' && startDate) parsed.filters.push({ op: 'after', value: startDate, negated: false });
+    if (typeof endDate === 'string' && endDate) parsed.filters.push({ op: 'before', value: endDate, negated: false });
+
+    const labels = await Label.find({ userId: req.user._id });
+    const labelIdsByName = new Map(labels.map(label => [label.name.toLowerCase(), label._id]));
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const pagination = [{ $skip: (pageNum - 1) * limitNum }, { $limit: limitNum }];
+
+    // Có từ khóa tự do: bắt đầu từ chỉ mục toàn văn của Email; nếu không: từ hộp thư của người dùng
+    const useTextIndex = parsed.terms.length > 0 || parsed.phrases.length > 0;
+    const { error, emailConditions, entryConditions, textSearch } = buildSearchConditions(parsed, {
+      labelIdsByName,
+      emailPrefix: useTextIndex ? '' : 'email.'
+    });
+    if (error) return res.status(400).json({ error });
+    const allOf = (conditions) => (conditions.length > 0 ? { $and: conditions } : {});
+
+    let matches;
+    if (useTextIndex) {
+      // Chỉ giữ các email có trong hộp thư của người dùng
+      matches = await Email.aggregate([
+        { $match: { $text: { $search: textSearch }, ...allOf(emailConditions) } },
+        { $project: { score: { $meta: 'textScore' } } },
         {
-          $or: [
-            { sender: userEmail },
-            { recipients: userEmail },
-            { cc: userEmail },
-            { bcc: userEmail }
-          ]
-        }
-      ],
-      folder: { $ne: 'trash' }
-    };
-
-    if (keyword) {
-      matchConditions.$and.push({
-        $or: [
-          { subject: { $regex: keyword, $options: 'i' } },
-          { body: { $regex: keyword, $options: 'i' } }
-        ]
-      });
+          $lookup: {
+            from: MailboxEntry.collection.name,
+            let: { emailId: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$email', '$$emailId'] } } },
+              { $match: { userId: req.user._id, ...allOf(entryConditions) } },
+              { $project: { _id: 1, sentAt: 1 } }
+            ],
+            as: 'entry'
+          }
+        },
+        // Email tự gửi cho chính mình có hai mục, chỉ trả về một
+        { $match: { 'entry.0': { $exists: true } } },
+        { $project: { score: 1, entryId: { $first: '$entry._id' }, sentAt: { $first: '$entry.sentAt' } } },
+        { $sort: { score: -1, sentAt: -1 } },
+        ...pagination
+      ]);
+    } else {
+      matches = await MailboxEntry.aggregate([
+        { $match: { userId: req.user._id, ...allOf(entryConditions) } },
+        { $sort: { sentAt: -1 } },
+        { $lookup: { from: Email.collection.name, localField: 'email', foreignField: '_id', as: 'email' } },
+        { $unwind: '$email' },
+        { $match: allOf(emailConditions) },
+        { $group: { _id: '$email._id', entryId: { $first: '$_id' }, sentAt: { $first: '$sentAt' } } },
+        { $sort: { sentAt: -1 } },
+        ...pagination
+      ]);
     }
 
-    if (from) {
-      matchConditions.sender = { $regex: from, $options: 'i' };
-    }
-    if (to) {
-      matchConditions.$or = [
-        { recipients: { $regex: to, $options: 'i' } },
-        { cc: { $regex: to, $options: 'i' } }
-      ];
-    }
-    if (hasAttachment === 'true') {
-      matchConditions.attachments = { $exists: true, $ne: [] };
-    }
-    if (startDate || endDate) {
-      matchConditions.sentAt = {};
-      if (startDate) matchConditions.sentAt.$gte = new Date(startDate);
-      if (endDate) matchConditions.sentAt.$lte = new Date(endDate);
-    }
-
-    const emails = await Email.aggregate([
-      { $match: matchConditions },
-      {
-        $sort: {
-          sentAt: -1,
-          folder: 1
-        }
-      },
-      {
-        $group: {
-          _id: {
-            sender: "$sender",
-            subject: "$subject",
-            sentAt: "$sentAt"
-          },
-          originalDoc: { $first: "$$ROOT" }
-        }
-      },
-      {
-        $replaceRoot: { newRoot: "$originalDoc" }
-      },
-      {
-        $sort: { sentAt: -1 }
-      }
-    ]);
-
-    res.json(emails);
+    const entries = await MailboxEntry.find({ _id: { $in: matches.map(m => m.entryId) } })
+      .populate('email')
+      .populate('labels', 'name');
+    const entriesById = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+    // Đánh dấu từ khóa trong tiêu đề và đoạn trích
+    const highlightWords = [
+      ...parsed.terms,
+      ...parsed.phrases,
+      ...parsed.filters.filter(f => f.op === 'subject' && !f.negated).map(f => f.value)
+    ];
+
+    res.json(matches
+      .filter(m => entriesById.has(m.entryId.toString()))
+      .map(m => {
+        const entry = entriesById.get(m.entryId.toString());
+        return {
+          ...entry.toView(req.user.email, { includeBody: false }),
+          score: m.score,
+          highlight: {
+            subject: highlight(entry.email.subject, highlightWords),
+            snippet: highlight(entry.email.bodyText || htmlToText(entry.email.body), highlightWords)
+          }
+        };
+      }));
   } catch (err) {
     console.error('Search email error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
@@ -872,7 +1191,8 @@ router.delete('/labels/:labelId', authenticateToken, ensureEmailVerified, async
       return res.status(404).json({ error: 'Label not found or unauthorized' });
     }
 
-    await Email.updateMany({ labels: labelId }, { $pull: { labels: labelId } });
+    await MailboxEntry.updateMany({ userId: req.user._id, labels: labelId }, { $pull: { labels: labelId } });
+    await Filter.updateMany({ userId: req.user._id, 'actions.labelId': labelId }, { $unset: { 'actions.labelId': '' } });
     res.json({ message: 'Label deleted successfully' });
   } catch (err) {
     console.error('Delete label error:', err.message, err.stack);
@@ -922,26 +1242,22 @@ router.patch('/emails/:emailId/labels', authenticateToken, ensureEmailVerified,
       return res.status(400).json({ error: 'Invalid action' });
     }
 
-    const email = await Email.findOne({
-      _id: emailId,
-      $or: [
-        { sender: req.user.email },
-        { recipients: req.user.email },
-        { cc: req.user.email },
-        { bcc: req.user.email }
-      ]
-    });
-    if (!email) return res.status(404).json({ error: 'Email not found or unauthorized' });
+    const entry = await findOwnEntry(emailId, req.user._id);
+    if (!entry) return res.status(404).json({ error: 'Email not found or unauthorized' });
 
     const label = await Label.findOne({ _id: labelId, userId: req.user._id });
     if (!label) return res.status(404).json({ error: 'Label not found or unauthorized' });
 
     if (action === 'add') {
-      if (!email.labels.includes(labelId)) email.labels.push(labelId);
+      if (!entry.labels.some(id => id.toString() === labelId)) entry.labels.push(labelId);
     } else if (action === 'remove') {
-      email.labels = email.labels.filter(id => id.toString() !== labelId);
+      entry.labels = entry.labels.filter(id => id.toString() !== labelId);
+    }
+    // Gắn / gỡ nhãn "Spam" là phản hồi của người dùng cho bộ phân loại spam
+    if (label.isSystemLabel && label.name === 'Spam' && entry.role !== 'sender') {
+      await trainFromEntry(entry, action === 'add');
     }
-    await email.save();
+    await entry.save();
     res.json({ message: 'Label updated successfully' });
   } catch (err) {
     console.error('Update email labels error:', err.message, err.stack);
@@ -960,28 +1276,231 @@ router.get('/labels', authenticateToken, ensureEmailVerified, async (req, res) =
   }
 });
 
-// Cấu hình Auto Reply
-router.post('/auto-reply', authenticateToken, ensureEmailVerified, async (req, res) => {
-  const { enabled, message } = req.body;
+// Kiểm tra dữ liệu bộ lọc từ request; trả về { error } nếu không hợp lệ
+const parseFilterInput = async (body, user) => {
+  const { name, enabled, conditions = {}, actions = {} } = body;
+  if (!conditions || typeof conditions !== 'object' || !actions || typeof actions !== 'object') {
+    return { error: 'Conditions and actions must be objects' };
+  }
+  if (name !== undefined && typeof name !== 'string') return { error: 'Name must be a string' };
+  if (enabled !== undefined && typeof enabled !== 'boolean') return { error: 'Enabled must be a boolean' };
+
+  const parsedConditions = {};
+  for (const key of ['from', 'to', 'subject', 'hasWords']) {
+    if (conditions[key] === undefined || conditions[key] === '') continue;
+    if (typeof conditions[key] !== 'string') return { error: `Condition ${key} must be a string` };
+    parsedConditions[key] = conditions[key].trim();
+  }
+  if (conditions.hasAttachment !== undefined) {
+    if (typeof conditions.hasAttachment !== 'boolean') return { error: 'Condition hasAttachment must be a boolean' };
+    parsedConditions.hasAttachment = conditions.hasAttachment;
+  }
+  for (const key of ['sizeGreaterThan', 'sizeLessThan']) {
+    if (conditions[key] === undefined) continue;
+    if (!Number.isFinite(conditions[key]) || conditions[key] <= 0) return { error: `Condition ${key} must be a positive number of bytes` };
+    parsedConditions[key] = conditions[key];
+  }
+  if (Object.keys(parsedConditions).length === 0) return { error: 'At least one condition is required' };
+
+  const parsedActions = {};
+  if (actions.labelId !== undefined && actions.labelId !== null) {
+    if (!mongoose.isValidObjectId(actions.labelId)) return { error: 'Invalid label ID' };
+    const label = await Label.findOne({ _id: actions.labelId, userId: user._id });
+    if (!label) return { error: 'Label not found or unauthorized' };
+    parsedActions.labelId = label._id;
+  }
+  for (const key of ['archive', 'markRead', 'star', 'markImportant']) {
+    if (actions[key] === undefined) continue;
+    if (typeof actions[key] !== 'boolean') return { error: `Action ${key} must be a boolean` };
+    parsedActions[key] = actions[key];
+  }
+  if (actions.moveTo !== undefined && actions.moveTo !== null) {
+    if (!['spam', 'trash'].includes(actions.moveTo)) return { error: 'Action moveTo must be spam or trash' };
+    parsedActions.moveTo = actions.moveTo;
+  }
+  if (actions.forwardTo !== undefined && actions.forwardTo !== null && actions.forwardTo !== '') {
+    if (typeof actions.forwardTo !== 'string' || actions.forwardTo === user.email) {
+      return { error: 'Action forwardTo must be another user\'s email' };
+    }
+    const target = await User.findOne({ email: actions.forwardTo, isEmailVerified: true });
+    if (!target) return { error: 'Forward address not found or unverified' };
+    parsedActions.forwardTo = actions.forwardTo;
+  }
+  const hasAction = Object.entries(parsedActions).some(([key, value]) => !['archive', 'markRead', 'star', 'markImportant'].includes(key) || value);
+  if (!hasAction) return { error: 'At least one action is required' };
+
+  const filter = { enabled: enabled !== false, conditions: parsedConditions, actions: parsedActions };
+  if (name !== undefined) filter.name = name.trim();
+  return { filter };
+};
+
+// Lấy danh sách bộ lọc
+router.get('/filters', authenticateToken, ensureEmailVerified, async (req, res) => {
+  try {
+    const filters = await Filter.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    res.json(filters);
+  } catch (err) {
+    console.error('Get filters error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Tạo bộ lọc
+router.post('/filters', authenticateToken, ensureEmailVerified, async (req, res) => {
+  try {
+    const { filter: input, error } = await parseFilterInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const filter = new Filter({ userId: req.user._id, ...input });
+    await filter.save();
+    res.json({ message: 'Filter created successfully', filter });
+  } catch (err) {
+    console.error('Create filter error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cập nhật bộ lọc
+router.put('/filters/:filterId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { filterId } = req.params;
 
   try {
-    if (typeof enabled !== 'boolean') {
-      return res.status(400).json({ error: 'Enabled must be a boolean' });
+    if (!mongoose.isValidObjectId(filterId)) {
+      return res.status(400).json({ error: 'Invalid filter ID' });
     }
-    if (message && typeof message !== 'string') {
-      return res.status(400).json({ error: 'Message must be a string' });
+
+    const { filter: input, error } = await parseFilterInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const filter = await Filter.findOneAndUpdate(
+      { _id: filterId, userId: req.user._id },
+      input,
+      { new: true }
+    );
+    if (!filter) return res.status(404).json({ error: 'Filter not found or unauthorized' });
+
+    res.json({ message: 'Filter updated successfully', filter });
+  } catch (err) {
+    console.error('Update filter error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Xóa bộ lọc
+router.delete('/filters/:filterId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { filterId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(filterId)) {
+      return res.status(400).json({ error: 'Invalid filter ID' });
     }
 
-    let autoReply = await AutoReply.findOne({ userId: req.user._id });
-    if (!autoReply) {
-      autoReply = new AutoReply({ userId: req.user._id, enabled, message });
-    } else {
-      autoReply.enabled = enabled;
-      autoReply.message = message || autoReply.message;
-      autoReply.updatedAt = Date.now();
+    const deleted = await Filter.deleteOne({ _id: filterId, userId: req.user._id });
+    if (deleted.deletedCount === 0) {
+      return res.status(404).json({ error: 'Filter not found or unauthorized' });
+    }
+
+    res.json({ message: 'Filter deleted successfully' });
+  } catch (err) {
+    console.error('Delete filter error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Áp dụng bộ lọc cho các email đã nhận (không chuyển tiếp lại email cũ)
+router.post('/filters/:filterId/apply', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { filterId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(filterId)) {
+      return res.status(400).json({ error: 'Invalid filter ID' });
+    }
+
+    const filter = await Filter.findOne({ _id: filterId, userId: req.user._id });
+    if (!filter) return res.status(404).json({ error: 'Filter not found or unauthorized' });
+
+    let matchedCount = 0;
+    const cursor = MailboxEntry.find({
+      userId: req.user._id,
+      role: { $ne: 'sender' },
+      folder: { $nin: ['trash', 'spam'] }
+    }).populate('email').cursor();
+
+    for await (const entry of cursor) {
+      if (!matchesFilter(filter, entry.email)) continue;
+      await applyFilterActions(filter, entry);
+      await entry.save();
+      matchedCount++;
+    }
+
+    res.json({ message: 'Filter applied to existing emails', matchedCount });
+  } catch (err) {
+    console.error('Apply filter error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lấy cài đặt Auto Reply (giá trị mặc định nếu chưa cấu hình)
+router.get('/auto-reply', authenticateToken, ensureEmailVerified, async (req, res) => {
+  try {
+    const autoReply = await AutoReply.findOne({ userId: req.user._id }) || new AutoReply({ userId: req.user._id });
+    res.json({ autoReply: autoReply.toSettings(), active: autoReply.isActive() });
+  } catch (err) {
+    console.error('Get auto reply error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cấu hình Auto Reply: bật/tắt, khoảng thời gian, tiêu đề, nội dung HTML, tần suất và phạm vi người gửi.
+// Các trường không gửi lên giữ nguyên giá trị cũ; startAt/endAt = null để bỏ giới hạn.
+router.post('/auto-reply', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { enabled, subject, message, replyIntervalDays, contactsOnly, internalOnly } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'Enabled must be a boolean' });
+  }
+  if (subject !== undefined && (typeof subject !== 'string' || subject.length > 200)) {
+    return res.status(400).json({ error: 'Subject must be a string of at most 200 characters' });
+  }
+  if (message !== undefined && typeof message !== 'string') {
+    return res.status(400).json({ error: 'Message must be a string' });
+  }
+  if (replyIntervalDays !== undefined && (!Number.isInteger(replyIntervalDays) || replyIntervalDays < 1 || replyIntervalDays > 365)) {
+    return res.status(400).json({ error: 'replyIntervalDays must be an integer between 1 and 365' });
+  }
+  for (const [name, value] of Object.entries({ contactsOnly, internalOnly })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return res.status(400).json({ error: `${name} must be a boolean` });
+    }
+  }
+  const dates = {};
+  for (const name of ['startAt', 'endAt']) {
+    if (req.body[name] === undefined) continue;
+    dates[name] = parseSendAt(req.body[name]) || undefined;
+    if (dates[name] && isNaN(dates[name].getTime())) {
+      return res.status(400).json({ error: `Invalid ${name} timestamp` });
+    }
+  }
+
+  try {
+    const autoReply = await AutoReply.findOne({ userId: req.user._id }) || new AutoReply({ userId: req.user._id });
+    autoReply.enabled = enabled;
+    if (subject !== undefined) autoReply.subject = subject.trim();
+    if (message) autoReply.message = message;
+    if (replyIntervalDays !== undefined) autoReply.replyIntervalDays = replyIntervalDays;
+    if (contactsOnly !== undefined) autoReply.contactsOnly = contactsOnly;
+    if (internalOnly !== undefined) autoReply.internalOnly = internalOnly;
+    Object.assign(autoReply, dates);
+    if (autoReply.startAt && autoReply.endAt && autoReply.endAt <= autoReply.startAt) {
+      return res.status(400).json({ error: 'endAt must be after startAt' });
     }
+    autoReply.updatedAt = Date.now();
     await autoReply.save();
-    res.json({ message: 'Auto reply settings updated', autoReply });
+
+    // Cài đặt mới: mọi người gửi sẽ lại nhận được Auto Reply một lần
+    await AutoReplyLog.deleteMany({ userId: req.user._id });
+
+    res.json({ message: 'Auto reply settings updated', autoReply: autoReply.toSettings(), active: autoReply.isActive() });
   } catch (err) {
     console.error('Auto reply error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
@@ -997,50 +1516,349 @@ router.get('/emails/:emailId', authenticateToken, ensureEmailVerified, async (re
       return res.status(400).json({ error: 'Invalid email ID' });
     }
 
-    const email = await Email.findOne({
-      _id: emailId,
-      $or: [
-        { sender: req.user.email },
-        { recipients: req.user.email },
-        { cc: req.user.email },
-        { bcc: req.user.email }
-      ]
-    }).populate('labels');
+    const entry = await findOwnEntry(emailId, req.user._id).populate('labels');
 
-    if (!email) {
+    if (!entry) {
       return res.status(404).json({ error: 'Email not found or unauthorized' });
     }
 
-    res.json(email);
+    res.json(entry.toView(req.user.email));
   } catch (err) {
     console.error('Get email error:', err.message, err.stack);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.delete('/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+// Loại tệp được hiển thị trực tiếp; các loại khác (HTML, SVG, ...) luôn được tải xuống
+const inlineContentTypes = /^(image\/(png|jpe?g|gif|webp)|application\/pdf|text\/plain|audio\/|video\/)/i;
+
+// Header Content-Disposition kèm tên tệp Unicode (RFC 6266)
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Phân tích header Range một đoạn ("bytes=start-end", "bytes=start-", "bytes=-suffix").
+// Trả về null khi không có hoặc không hỗ trợ (gửi cả tệp), false khi không thể đáp ứng.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start = parseInt(match[1], 10);
+  let end = match[2] ? parseInt(match[2], 10) : size - 1;
+  if (!match[1]) {
+    if (end === 0) return false;
+    start = Math.max(size - end, 0);
+    end = size - 1;
+  }
+  end = Math.min(end, size - 1);
+  if (start > end || start >= size) return false;
+  return { start, end };
+};
+
+// Tải tệp đính kèm; chỉ người có email tham chiếu tới tệp trong hộp thư của mình mới được tải.
+// Hỗ trợ Range; ?download=1 buộc tải xuống thay vì hiển thị trực tiếp.
+router.get('/attachments/:id', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid attachment ID' });
+    }
+
+    const emails = await Email.find({ 'attachments.attachmentId': id }, 'attachments');
+    const entry = emails.length > 0
+      ? await MailboxEntry.findOne({ userId: req.user._id, email: { $in: emails.map(e => e._id) } }, 'email')
+      : null;
+    const attachment = entry && await Attachment.findById(id);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found or unauthorized' });
+
+    // Tên tệp lấy từ email của người dùng (cùng nội dung có thể mang tên khác ở email khác)
+    const reference = emails
+      .find(e => e._id.equals(entry.email))
+      .attachments.find(a => a.attachmentId && a.attachmentId.equals(attachment._id));
+    const filename = (reference && reference.filename) || 'attachment';
+    const download = ['1', 'true'].includes(req.query.download);
+    const disposition = !download && inlineContentTypes.test(attachment.contentType) ? 'inline' : 'attachment';
+    const etag = `"${attachment.hash}"`;
+
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Disposition': contentDisposition(disposition, filename),
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+      ETag: etag
+    });
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+    const range = parseRange(req.headers.range, attachment.size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${attachment.size}`);
+      return res.status(416).end();
+    }
+
+    const stream = await readFile(attachment.storageKey, range || {});
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${attachment.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(attachment.size));
+    }
+    stream.on('error', err => {
+      console.error('Attachment stream error:', err.message, err.stack);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('Download attachment error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Tải email dưới dạng tệp .eml (RFC 5322); tệp đính kèm được đọc từ storage và nhúng vào thư
+router.get('/emails/:emailId/raw', authenticateToken, ensureEmailVerified, async (req, res) => {
   const { emailId } = req.params;
-  const userEmail = req.user.email;
 
   try {
     if (!mongoose.isValidObjectId(emailId)) {
       return res.status(400).json({ error: 'Invalid email ID' });
     }
 
-    const result = await Email.deleteOne({
-      _id: emailId,
-      $or: [
-        { sender: userEmail },
-        { recipients: userEmail },
-        { cc: userEmail },
-        { bcc: userEmail }
-      ]
+    const entry = await findOwnEntry(emailId, req.user._id);
+    if (!entry) return res.status(404).json({ error: 'Email not found or unauthorized' });
+
+    const message = buildMimeMessage(entry.email);
+    const bcc = entry.visibleBcc(req.user.email);
+    if (bcc.length > 0) message.bcc = bcc;
+
+    const mail = new MailComposer(message).compile();
+    mail.keepBcc = true; // Giữ header Bcc mà người dùng được phép thấy
+    const raw = await mail.build();
+
+    const filename = `${(entry.email.subject || 'message').replace(/[^\p{L}\p{N} ._-]+/gu, '_').trim().slice(0, 100) || 'message'}.eml`;
+    res.set('Content-Type', 'message/rfc822');
+    res.attachment(filename);
+    res.send(raw);
+  } catch (err) {
+    console.error('Export raw email error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Nhập một hoặc nhiều tệp .eml vào thư mục được chọn, giữ nguyên ngày gửi, người gửi và tệp đính kèm
+const importFolders = ['inbox', 'sent', 'draft', 'archive', 'spam', 'trash'];
+
+router.post('/import', authenticateToken, ensureEmailVerified, handleUploadErrors(emlUpload.array('files', 20)), async (req, res) => {
+  const { folder = 'inbox' } = req.body;
+
+  try {
+    if (!importFolders.includes(folder)) {
+      return res.status(400).json({ error: `Folder must be one of: ${importFolders.join(', ')}` });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one .eml file is required' });
+    }
+
+    const imported = [];
+    const skipped = [];
+
+    for (const file of req.files) {
+      let parsed;
+      try {
+        parsed = await simpleParser(file.buffer, { keepCidLinks: true });
+      } catch (parseErr) {
+        skipped.push({ filename: file.originalname, reason: 'Invalid message format' });
+        continue;
+      }
+
+      // Email đã có trong hộp thư của người dùng (cùng Message-ID) được bỏ qua
+      const entry = await importParsedMessage(req.user, parsed, { folder });
+      if (!entry) {
+        skipped.push({ filename: file.originalname, reason: 'Message already exists' });
+        continue;
+      }
+      imported.push({ emailId: entry._id, filename: file.originalname, subject: parsed.subject || '' });
+    }
+
+    if (imported.length === 0) {
+      return res.status(400).json({ error: 'No messages were imported', skipped });
+    }
+    res.json({ message: `Imported ${imported.length} message(s)`, imported, skipped });
+  } catch (err) {
+    console.error('Import email error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Thông tin tác vụ xuất / nhập trả về cho client
+const jobView = (job) => ({
+  jobId: job._id,
+  type: job.type,
+  status: job.status,
+  processed: job.processed,
+  total: job.total,
+  imported: job.type === 'import' ? job.imported : undefined,
+  skipped: job.type === 'import' ? job.skipped : undefined,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  downloadAvailable: job.type === 'export' && job.status === 'completed' && Boolean(job.filePath),
+  expiresAt: job.expiresAt
+});
+
+// Bắt đầu xuất toàn bộ hộp thư (chạy nền; tiến độ qua sự kiện mailboxJobProgress)
+router.post('/export', authenticateToken, ensureEmailVerified, async (req, res) => {
+  try {
+    const activeJob = await MailboxJob.findOne({ userId: req.user._id, type: 'export', status: { $in: ['queued', 'running'] } });
+    if (activeJob) {
+      return res.status(409).json({ error: 'An export is already in progress', jobId: activeJob._id });
+    }
+
+    const job = await enqueueMailboxJob({ userId: req.user._id, type: 'export' });
+    res.json({ message: 'Export started', ...jobView(job) });
+  } catch (err) {
+    console.error('Start export error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Nhập tệp mbox (ví dụ từ Google Takeout); folder: thư mục cho email không có X-Gmail-Labels
+router.post('/import/mbox', authenticateToken, ensureEmailVerified, mboxUpload, async (req, res) => {
+  const { folder = 'inbox' } = req.body;
+
+  try {
+    if (!req.file) return res.status(400).json({ error: 'An .mbox file is required' });
+    if (!importFolders.includes(folder)) {
+      await fs.promises.rm(req.file.path, { force: true });
+      return res.status(400).json({ error: `Folder must be one of: ${importFolders.join(', ')}` });
+    }
+
+    const job = await enqueueMailboxJob({
+      userId: req.user._id,
+      type: 'import',
+      filePath: req.file.path,
+      defaultFolder: folder
     });
+    res.json({ message: 'Import started', ...jobView(job) });
+  } catch (err) {
+    console.error('Start mbox import error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Trạng thái tác vụ xuất / nhập
+router.get('/jobs/:jobId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(jobId)) return res.status(400).json({ error: 'Invalid job ID' });
+
+    const job = await MailboxJob.findOne({ _id: jobId, userId: req.user._id });
+    if (!job) return res.status(404).json({ error: 'Job not found or unauthorized' });
+
+    res.json(jobView(job));
+  } catch (err) {
+    console.error('Get job error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Tải tệp .zip của tác vụ xuất đã hoàn tất
+router.get('/jobs/:jobId/download', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(jobId)) return res.status(400).json({ error: 'Invalid job ID' });
+
+    const job = await MailboxJob.findOne({ _id: jobId, userId: req.user._id, type: 'export' });
+    if (!job) return res.status(404).json({ error: 'Export not found or unauthorized' });
+    if (job.status !== 'completed') return res.status(409).json({ error: 'Export is not finished yet' });
+    if (!job.filePath) return res.status(410).json({ error: 'Export has expired' });
+
+    res.download(job.filePath, `mailbox-export-${job.createdAt.toISOString().slice(0, 10)}.zip`);
+  } catch (err) {
+    console.error('Download export error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Trạng thái gửi tới từng người nhận của email đã gửi (nội bộ: delivered; bên ngoài: theo hàng đợi SMTP)
+router.get('/emails/:emailId/delivery', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const entry = await findOwnEntry(emailId, req.user._id);
+    if (!entry || entry.role !== 'sender') {
+      return res.status(404).json({ error: 'Email not found or unauthorized' });
+    }
+
+    const email = entry.email;
+    const deliveries = await OutboundDelivery.find({ email: email._id });
+    const deliveriesByAddress = new Map(deliveries.map(d => [d.address, d]));
+    const pending = ['draft', 'scheduled', 'outbox'].includes(entry.folder);
+    const addresses = [...new Set([...email.recipients, ...(email.cc || []), ...(email.bcc || [])])];
+    const failed = new Set(email.failedRecipients || []);
+
+    res.json(addresses.map(address => {
+      const delivery = deliveriesByAddress.get(address);
+      if (failed.has(address)) return { address, status: 'failed' };
+      if (!delivery) return { address, external: false, status: pending ? 'pending' : 'delivered' };
+      return {
+        address,
+        external: true,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status === 'queued' ? delivery.nextAttemptAt : undefined,
+        lastError: delivery.lastError,
+        sentAt: delivery.sentAt
+      };
+    }));
+  } catch (err) {
+    console.error('Get delivery status error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Dọn sạch thùng rác hoặc thư mục Spam (xóa vĩnh viễn)
+router.delete('/empty/:folder', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { folder } = req.params;
+
+  try {
+    if (!['trash', 'spam'].includes(folder)) {
+      return res.status(400).json({ error: 'Only trash and spam can be emptied' });
+    }
 
-    if (result.deletedCount === 0) {
+    const deleted = await deleteEntries({ userId: req.user._id, folder });
+
+    res.json({ message: `${folder === 'trash' ? 'Trash' : 'Spam'} emptied`, deleted });
+  } catch (err) {
+    console.error('Empty folder error:', err.message, err.stack);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:emailId', authenticateToken, ensureEmailVerified, async (req, res) => {
+  const { emailId } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const entry = await MailboxEntry.findOne({ _id: emailId, userId: req.user._id });
+
+    if (!entry) {
       return res.status(404).json({ error: 'Email not found or you are not authorized to delete it' });
     }
 
+    await deleteEntry(entry);
+
     res.json({ message: 'Email permanently deleted' });
   } catch (err) {
     console.error('Delete email error:', err.message, err.stack);
@@ -1,10 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticateToken } = require('../middleware/auth');
+const { revokeOtherSessions } = require('../sessions');
+const {
+    generateTotpSecret,
+    matchTotpStep,
+    buildProvisioningUri,
+    generateRecoveryCodes,
+    issueEmailOtp,
+    verifySecondFactor,
+    remainingRecoveryCodes
+} = require('../twoFactor');
+const {
+    consumeLimit,
+    sendTooManyRequests,
+    LOCKED_MESSAGE,
+    accountKey,
+    getLockout,
+    rejectFailedAttempt,
+    clearFailures
+} = require('../rateLimit');
+const {
+    isEmailTaken,
+    requestEmailChange,
+    verifyEmailOtp,
+    cancelEmailChange
+} = require('../emailVerification');
+const { requestAccountDeletion, cancelAccountDeletion } = require('../accountDeletion');
+const { uploadProfilePicture } = require('../uploads');
+const { removeFile } = require('../storage');
+const { sniffType } = require('../attachmentPolicy');
 
 // --- Cấu hình Multer cho việc tải ảnh ---
 const storage = multer.memoryStorage();
@@ -22,29 +52,10 @@ const upload = multer({
  * ===================================================================
  * MIDDLEWARE XÁC THỰC TOKEN (NGƯỜI GÁC CỔNG)
  * ===================================================================
- * Mọi API trong file này sẽ phải đi qua hàm này trước tiên.
- * Nó kiểm tra token, nếu hợp lệ thì lấy thông tin user và gắn vào `req.user`.
- * Nếu không hợp lệ, nó sẽ trả về lỗi và dừng lại.
+ * Mọi API trong file này sẽ phải đi qua middleware/auth.js trước tiên.
+ * Nó kiểm tra access token và phiên đăng nhập, nếu hợp lệ thì gắn user vào `req.user`
+ * và ID phiên vào `req.sessionId`. Phiên đã bị thu hồi sẽ bị từ chối ngay.
  */
-const authenticateToken = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found.' });
-    }
-    req.user = user; // Gắn đối tượng user vào request để các hàm sau sử dụng
-    next(); // Cho phép request đi tiếp đến hàm xử lý chính
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token.' });
-  }
-};
-
 // Áp dụng "người gác cổng" này cho TẤT CẢ các route được định nghĩa bên dưới
 router.use(authenticateToken);
 
@@ -66,68 +77,187 @@ router.get('/profile', async (req, res) => {
     name: user.name,
     picture: user.picture,
     twoFactorEnabled: user.twoFactorEnabled,
-    isEmailVerified: user.isEmailVerified
+    totpEnabled: user.totpEnabled,
+    recoveryCodesRemaining: remainingRecoveryCodes(user),
+    isEmailVerified: user.isEmailVerified,
+    pendingEmail: user.pendingEmail || null,
+    deletionScheduledFor: user.deletionScheduledFor || null,
+    undoSendSeconds: user.undoSendSeconds
   });
 });
 
 
+// Giới hạn email xác minh gửi tới địa chỉ mới của mỗi tài khoản: 3 lần / 15 phút
+const consumeVerificationLimit = (user) =>
+    consumeLimit({ name: 'verify-email', key: accountKey(user.phone), windowMs: 15 * 60 * 1000, max: 3 });
+
+
 // CẬP NHẬT HỒ SƠ (EMAIL, TÊN, ẢNH ĐẠI DIỆN)
 // Method: POST | URL: /api/user/update-profile
+// Email mới chỉ được lưu ở trạng thái chờ và gửi liên kết/OTP xác minh; email hiện tại giữ nguyên tới khi xác nhận
 router.post('/update-profile', upload.single('picture'), async (req, res) => {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-  });
-  
-  const { email, name } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+  const { name } = req.body;
   const user = req.user; // Lấy user từ middleware
 
-  if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+  const emailChanged = Boolean(email) && (email !== user.email || !user.isEmailVerified);
+  if (emailChanged && !/^[\w-\.]+@([\w-]+\.)+[\w-]{2,}$/.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
   }
-  
+
+  // Kiểm tra loại ảnh thật từ nội dung, không tin mimetype do client gửi lên
+  if (req.file) {
+    const { type, mime } = sniffType(req.file.buffer, req.file.originalname);
+    if (!['jpeg', 'png'].includes(type)) {
+      return res.status(400).json({ error: 'Chỉ chấp nhận file .jpg, .jpeg, .png' });
+    }
+    req.file.mimetype = mime;
+  }
+
   // Kiểm tra xem email mới có bị người khác sử dụng không
-  const existingEmailUser = await User.findOne({ email, _id: { $ne: user._id } });
-  if (existingEmailUser) {
+  if (emailChanged && await isEmailTaken(email, user._id)) {
     return res.status(400).json({ error: 'Email already in use by another account' });
   }
 
-  user.email = email;
+  // Mỗi lần đổi email đều gửi thư tới địa chỉ mới nên dùng chung giới hạn với gửi lại xác minh
+  if (emailChanged) {
+    try {
+      const retryAt = await consumeVerificationLimit(user);
+      if (retryAt) return sendTooManyRequests(res, retryAt, 'Too many verification emails. Please try again later.');
+    } catch (error) {
+      console.error('Update profile error:', error.message, error.stack);
+      return res.status(500).json({ error: 'Failed to save profile' });
+    }
+  }
+
   user.name = name || user.name;
 
+  // Ảnh cũ chỉ bị xóa khỏi storage sau khi hồ sơ đã lưu với ảnh mới
+  let oldPictureKey = null;
   if (req.file) {
     try {
-      const result = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          { folder: 'email_app_profiles' },
-          (error, result) => error ? reject(error) : resolve(result)
-        );
-        uploadStream.end(req.file.buffer);
-      });
-      user.picture = result.secure_url;
+      const { key, url } = await uploadProfilePicture(req.file);
+      oldPictureKey = user.pictureKey;
+      user.picture = url;
+      user.pictureKey = key;
     } catch (error) {
+      console.error('Upload picture error:', error.message, error.stack);
       return res.status(500).json({ error: 'Failed to upload picture' });
     }
   }
 
   try {
     const updatedUser = await user.save();
+    await removeFile(oldPictureKey);
+    if (emailChanged) await requestEmailChange(updatedUser, email);
     res.json({ 
-        message: 'Profile updated successfully',
+        message: emailChanged
+            ? `Profile updated. We sent a verification link and code to ${email}; the new email takes effect once confirmed.`
+            : 'Profile updated successfully',
         user: { // Trả về thông tin user đã cập nhật
             phone: updatedUser.phone,
             email: updatedUser.email,
             name: updatedUser.name,
             picture: updatedUser.picture,
+            isEmailVerified: updatedUser.isEmailVerified,
+            pendingEmail: updatedUser.pendingEmail || null
         }
     });
   } catch (error) {
+    console.error('Update profile error:', error.message, error.stack);
     res.status(500).json({ error: 'Failed to save profile' });
   }
 });
 
 
+// XÁC MINH EMAIL MỚI BẰNG OTP (HOẶC MỞ LIÊN KẾT TRONG EMAIL: GET /api/auth/verify-email)
+// Method: POST | URL: /api/user/verify-email
+// Body: { otp }
+router.post('/verify-email', async (req, res) => {
+    const user = req.user;
+    const account = accountKey(user.phone);
+
+    try {
+        const lockedUntil = await getLockout(account);
+        if (lockedUntil) return sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+
+        const result = await verifyEmailOtp(user, String(req.body.otp || '').trim());
+        if (result.failed) return rejectFailedAttempt(res, account, result.error);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.json({ message: 'Email verified.', email: result.user.email, isEmailVerified: true });
+    } catch (error) {
+        console.error('Verify email error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while verifying email.' });
+    }
+});
+
+
+// GỬI LẠI LIÊN KẾT / OTP XÁC MINH CHO EMAIL ĐANG CHỜ
+// Method: POST | URL: /api/user/resend-verification
+router.post('/resend-verification', async (req, res) => {
+    const user = req.user;
+    if (!user.pendingEmail) {
+        return res.status(400).json({ error: 'No email change is pending.' });
+    }
+
+    try {
+        const retryAt = await consumeVerificationLimit(user);
+        if (retryAt) return sendTooManyRequests(res, retryAt, 'Too many verification emails. Please try again later.');
+
+        await requestEmailChange(user, user.pendingEmail);
+        res.json({ message: `Verification sent to ${user.pendingEmail}.`, pendingEmail: user.pendingEmail });
+    } catch (error) {
+        console.error('Resend verification error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while sending verification email.' });
+    }
+});
+
+
+// HỦY YÊU CẦU ĐỔI EMAIL
+// Method: DELETE | URL: /api/user/pending-email
+router.delete('/pending-email', async (req, res) => {
+    try {
+        await cancelEmailChange(req.user);
+        res.json({ message: 'Pending email change cancelled.', email: req.user.email || null });
+    } catch (error) {
+        console.error('Cancel email change error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while cancelling email change.' });
+    }
+});
+
+
+/**
+ * Kiểm tra mật khẩu hiện tại và (khi truyền `code`) mã 2FA trước các thao tác nhạy cảm.
+ * Nhập sai nhiều lần sẽ khóa tạm thời tài khoản, giống như đăng nhập.
+ * Trả về true nếu hợp lệ; ngược lại đã gửi phản hồi lỗi.
+ */
+const verifyCredentials = async (req, res, { password, code, passwordMessage = 'Incorrect password.' }) => {
+    const user = req.user;
+    const account = accountKey(user.phone);
+
+    const lockedUntil = await getLockout(account);
+    if (lockedUntil) {
+        sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+        return false;
+    }
+    if (!password) {
+        res.status(400).json({ error: 'Current password is required.' });
+        return false;
+    }
+    if (!(await bcrypt.compare(String(password), user.password))) {
+        await rejectFailedAttempt(res, account, passwordMessage);
+        return false;
+    }
+    if (code !== undefined && !(await verifySecondFactor(user, String(code || ''), '2fa'))) {
+        await rejectFailedAttempt(res, account, 'Invalid or expired code.');
+        return false;
+    }
+    await clearFailures(account);
+    return true;
+};
+
+
 // THAY ĐỔI MẬT KHẨU
 // Method: POST | URL: /api/user/change-password
 router.post('/change-password', async (req, res) => {
@@ -142,15 +272,15 @@ router.post('/change-password', async (req, res) => {
     }
 
     try {
-        const isMatch = await bcrypt.compare(oldPassword, user.password);
-        if (!isMatch) {
-            return res.status(401).json({ error: 'Incorrect old password.' });
-        }
+        if (!(await verifyCredentials(req, res, { password: oldPassword, passwordMessage: 'Incorrect old password.' }))) return;
 
         user.password = await bcrypt.hash(newPassword, 10);
         await user.save();
 
-        res.json({ message: 'Password changed successfully.' });
+        // Đăng xuất mọi thiết bị khác, giữ phiên hiện tại
+        const revokedSessions = await revokeOtherSessions(user._id, req.sessionId);
+
+        res.json({ message: 'Password changed successfully.', revokedSessions });
 
     } catch (error) {
         res.status(500).json({ error: 'Server error while changing password.' });
@@ -158,21 +288,324 @@ router.post('/change-password', async (req, res) => {
 });
 
 
+// GỬI OTP QUA EMAIL ĐỂ XÁC NHẬN THAO TÁC 2FA (BẬT/TẮT, TẠO LẠI MÃ KHÔI PHỤC)
+// Method: POST | URL: /api/user/2fa/email-code
+router.post('/2fa/email-code', async (req, res) => {
+    const user = req.user;
+    if (!user.email || !user.isEmailVerified) {
+        return res.status(400).json({ error: 'A verified email is required.' });
+    }
+
+    try {
+        // Tối đa 3 OTP trong 15 phút cho mỗi tài khoản
+        const retryAt = await consumeLimit({ name: 'otp-email-2fa', key: accountKey(user.phone), windowMs: 15 * 60 * 1000, max: 3 });
+        if (retryAt) return sendTooManyRequests(res, retryAt, 'Too many OTP requests. Please try again later.');
+        await issueEmailOtp(user, 'Two-factor authentication OTP', '2fa');
+        res.json({ message: 'OTP sent to your email' });
+    } catch (error) {
+        console.error('Send 2FA OTP error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while sending OTP.' });
+    }
+});
+
+
+// BẮT ĐẦU ĐĂNG KÝ ỨNG DỤNG XÁC THỰC (TOTP)
+// Method: POST | URL: /api/user/2fa/totp/setup
+// Body: { password } -> { secret, otpauthUrl }; quét otpauthUrl bằng ứng dụng rồi xác nhận với mã đầu tiên
+router.post('/2fa/totp/setup', async (req, res) => {
+    const user = req.user;
+
+    try {
+        if (!(await verifyCredentials(req, res, { password: req.body.password }))) return;
+        if (user.totpEnabled) {
+            return res.status(409).json({ error: 'An authenticator app is already enrolled. Disable 2FA first to enroll a new one.' });
+        }
+
+        user.totpPendingSecret = generateTotpSecret();
+        await user.save();
+
+        res.json({
+            secret: user.totpPendingSecret,
+            otpauthUrl: buildProvisioningUri(user.totpPendingSecret, user.email || user.phone)
+        });
+    } catch (error) {
+        console.error('TOTP setup error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while setting up authenticator app.' });
+    }
+});
+
+
+// XÁC NHẬN ỨNG DỤNG XÁC THỰC BẰNG MÃ ĐẦU TIÊN: BẬT 2FA VÀ CẤP MÃ KHÔI PHỤC
+// Method: POST | URL: /api/user/2fa/totp/confirm
+// Body: { code }
+router.post('/2fa/totp/confirm', async (req, res) => {
+    const user = req.user;
+    if (!user.totpPendingSecret) {
+        return res.status(400).json({ error: 'Start authenticator setup first.' });
+    }
+
+    try {
+        const account = accountKey(user.phone);
+        const lockedUntil = await getLockout(account);
+        if (lockedUntil) return sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+        const step = matchTotpStep(user.totpPendingSecret, String(req.body.code || '').trim());
+        if (step === null) return rejectFailedAttempt(res, account, 'Invalid authenticator code.');
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.totpSecret = user.totpPendingSecret;
+        user.totpPendingSecret = undefined;
+        user.totpEnabled = true;
+        user.totpLastUsedStep = step;
+        user.twoFactorEnabled = true;
+        user.recoveryCodes = hashes;
+        await user.save();
+
+        res.json({
+            message: 'Authenticator app enabled. Store your recovery codes in a safe place; each can be used once.',
+            twoFactorEnabled: true,
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('TOTP confirm error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while enabling authenticator app.' });
+    }
+});
+
+
+// TẠO LẠI MÃ KHÔI PHỤC (CÁC MÃ CŨ HẾT HIỆU LỰC)
+// Method: POST | URL: /api/user/2fa/recovery-codes
+// Body: { password, code }
+router.post('/2fa/recovery-codes', async (req, res) => {
+    const user = req.user;
+    if (!user.twoFactorEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+    }
+
+    try {
+        if (!(await verifyCredentials(req, res, { password: req.body.password, code: req.body.code || '' }))) return;
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { recoveryCodes: hashes });
+        res.json({ message: 'New recovery codes generated.', recoveryCodes: codes });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while generating recovery codes.' });
+    }
+});
+
+
 // BẬT/TẮT 2FA
 // Method: POST | URL: /api/user/toggle-2fa
+// Body: { password, code } - code là OTP qua email (lấy từ /2fa/email-code), mã TOTP hoặc mã khôi phục
 router.post('/toggle-2fa', async (req, res) => {
     const user = req.user;
-    if (!user.email || !user.isEmailVerified) {
+    if (!user.twoFactorEnabled && (!user.email || !user.isEmailVerified)) {
         return res.status(400).json({ error: 'A verified email is required to enable 2FA.' });
     }
 
-    user.twoFactorEnabled = !user.twoFactorEnabled;
-    await user.save();
+    try {
+        if (!(await verifyCredentials(req, res, { password: req.body.password, code: req.body.code || '' }))) return;
 
-    res.json({ 
-        message: `Two-factor authentication has been ${user.twoFactorEnabled ? 'enabled' : 'disabled'}.`,
-        twoFactorEnabled: user.twoFactorEnabled
+        // Đọc lại vì verifySecondFactor có thể đã cập nhật mã khôi phục / bước TOTP
+        const current = await User.findById(user._id);
+        let recoveryCodes;
+        if (current.twoFactorEnabled) {
+            // Tắt 2FA: xóa luôn ứng dụng xác thực và mã khôi phục
+            current.twoFactorEnabled = false;
+            current.totpEnabled = false;
+            current.totpSecret = undefined;
+            current.totpPendingSecret = undefined;
+            current.totpLastUsedStep = undefined;
+            current.recoveryCodes = [];
+        } else {
+            const generated = generateRecoveryCodes();
+            current.twoFactorEnabled = true;
+            current.recoveryCodes = generated.hashes;
+            recoveryCodes = generated.codes;
+        }
+        await current.save();
+
+        res.json({
+            message: `Two-factor authentication has been ${current.twoFactorEnabled ? 'enabled' : 'disabled'}.`,
+            twoFactorEnabled: current.twoFactorEnabled,
+            ...(recoveryCodes && { recoveryCodes })
+        });
+    } catch (error) {
+        console.error('Toggle 2FA error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while updating two-factor authentication.' });
+    }
+});
+
+
+// XÓA TÀI KHOẢN
+// Method: DELETE | URL: /api/user/account
+// Body: { password, code? } - code (khi đã bật 2FA) là OTP qua email, mã TOTP hoặc mã khôi phục
+router.delete('/account', async (req, res) => {
+    const user = req.user;
+
+    try {
+        const code = user.twoFactorEnabled ? (req.body.code || '') : undefined;
+        if (!(await verifyCredentials(req, res, { password: req.body.password, code }))) return;
+
+        const scheduledFor = await requestAccountDeletion(user);
+        if (!scheduledFor) {
+            return res.json({ message: 'Your account has been deleted.' });
+        }
+        res.status(202).json({
+            message: 'Your account is scheduled for deletion. Sign in and cancel before then to keep it.',
+            deletionScheduledFor: scheduledFor
+        });
+    } catch (error) {
+        console.error('Delete account error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while deleting account.' });
+    }
+});
+
+
+// HỦY YÊU CẦU XÓA TÀI KHOẢN
+// Method: POST | URL: /api/user/account/cancel-deletion
+router.post('/account/cancel-deletion', async (req, res) => {
+    const user = req.user;
+    if (!user.deletionScheduledFor) {
+        return res.status(400).json({ error: 'Account is not scheduled for deletion.' });
+    }
+
+    try {
+        await cancelAccountDeletion(user);
+        res.json({ message: 'Account deletion cancelled.' });
+    } catch (error) {
+        console.error('Cancel account deletion error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while cancelling account deletion.' });
+    }
+});
+
+
+// DANH SÁCH PHIÊN ĐĂNG NHẬP ĐANG HOẠT ĐỘNG
+// Method: GET | URL: /api/user/sessions
+router.get('/sessions', async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.user._id, expiresAt: { $gt: new Date() } })
+            .sort({ lastSeenAt: -1 });
+        res.json({ sessions: sessions.map(session => session.toView(req.sessionId)) });
+    } catch (error) {
+        console.error('List sessions error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while listing sessions.' });
+    }
+});
+
+
+// THU HỒI MỘT PHIÊN (ĐĂNG XUẤT THIẾT BỊ ĐÓ)
+// Method: DELETE | URL: /api/user/sessions/:sessionId
+router.delete('/sessions/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session ID.' });
+    }
+
+    try {
+        const result = await Session.deleteOne({ _id: sessionId, userId: req.user._id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Session not found.' });
+        }
+        res.json({ message: 'Session revoked.', current: req.sessionId.equals(sessionId) });
+    } catch (error) {
+        console.error('Revoke session error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while revoking session.' });
+    }
+});
+
+
+// THU HỒI MỌI PHIÊN KHÁC (ĐĂNG XUẤT KHỎI CÁC THIẾT BỊ KHÁC)
+// Method: DELETE | URL: /api/user/sessions
+router.delete('/sessions', async (req, res) => {
+    try {
+        const revokedSessions = await revokeOtherSessions(req.user._id, req.sessionId);
+        res.json({ message: 'All other sessions revoked.', revokedSessions });
+    } catch (error) {
+        console.error('Revoke sessions error:', error.message, error.stack);
+        res.status(500).json({ error: 'Server error while revoking sessions.' });
+    }
+});
+
+
+// CÀI ĐẶT THỜI GIAN HOÀN TÁC GỬI EMAIL
+// Method: POST | URL: /api/user/undo-send
+router.post('/undo-send', async (req, res) => {
+    const { seconds } = req.body;
+    const user = req.user;
+
+    // 0 để tắt, hoặc từ 5 đến 30 giây
+    if (!Number.isInteger(seconds) || (seconds !== 0 && (seconds < 5 || seconds > 30))) {
+        return res.status(400).json({ error: 'Undo send window must be 0 (disabled) or between 5 and 30 seconds.' });
+    }
+
+    try {
+        user.undoSendSeconds = seconds;
+        await user.save();
+
+        res.json({
+            message: seconds > 0 ? `Undo send window set to ${seconds} seconds.` : 'Undo send has been disabled.',
+            undoSendSeconds: user.undoSendSeconds
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error while updating undo send settings.' });
+    }
+});
+
+// DANH SÁCH NGƯỜI GỬI BỊ CHẶN / AN TOÀN
+// Method: GET | URL: /api/user/sender-lists
+router.get('/sender-lists', async (req, res) => {
+    const user = req.user;
+    res.json({
+        blockedSenders: user.blockedSenders,
+        safeSenders: user.safeSenders,
+        blockedSenderAction: user.blockedSenderAction
     });
 });
 
+
+// CẬP NHẬT DANH SÁCH NGƯỜI GỬI BỊ CHẶN / AN TOÀN
+// Method: PUT | URL: /api/user/sender-lists
+// Body: { blockedSenders?, safeSenders?, blockedSenderAction? ('spam' | 'drop') }
+router.put('/sender-lists', async (req, res) => {
+    const { blockedSenders, safeSenders, blockedSenderAction } = req.body;
+    const user = req.user;
+
+    // Mỗi mục là một địa chỉ email hoặc mẫu có dấu * (ví dụ *@example.com)
+    const parseList = (list) => {
+        if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && /^[^\s@]+@[^\s@]+$/.test(item.trim()))) {
+            return null;
+        }
+        return [...new Set(list.map(item => item.trim().toLowerCase()))];
+    };
+
+    const blocked = blockedSenders === undefined ? user.blockedSenders : parseList(blockedSenders);
+    const safe = safeSenders === undefined ? user.safeSenders : parseList(safeSenders);
+    if (!blocked || !safe) {
+        return res.status(400).json({ error: 'Sender lists must be arrays of email addresses or patterns like *@example.com.' });
+    }
+    if (blocked.some(address => safe.includes(address))) {
+        return res.status(400).json({ error: 'A sender cannot be both blocked and safe.' });
+    }
+    if (blockedSenderAction !== undefined && !['spam', 'drop'].includes(blockedSenderAction)) {
+        return res.status(400).json({ error: "blockedSenderAction must be 'spam' or 'drop'." });
+    }
+
+    try {
+        user.blockedSenders = blocked;
+        user.safeSenders = safe;
+        if (blockedSenderAction !== undefined) user.blockedSenderAction = blockedSenderAction;
+        await user.save();
+
+        res.json({
+            message: 'Sender lists updated.',
+            blockedSenders: user.blockedSenders,
+            safeSenders: user.safeSenders,
+            blockedSenderAction: user.blockedSenderAction
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error while updating sender lists.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,158 @@
+const User = require('./models/User');
+const MailboxEntry = require('./models/MailboxEntry');
+const OutboundDelivery = require('./models/OutboundDelivery');
+const Contact = require('./models/Contact');
+const { deliverToRecipients } = require('./delivery');
+
+// Chu kỳ quét email hẹn gửi đến hạn (có thể cấu hình qua SCHEDULER_INTERVAL_MS)
+const getIntervalMs = () => parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30 * 1000;
+
+let schedulerIo = null;
+let running = false;
+let rerunRequested = false;
+let wakeTimer = null;
+let wakeAt = 0;
+
+// Thư mục chứa email chờ gửi: hẹn giờ và đang trong thời gian hoàn tác
+const PENDING_FOLDERS = ['scheduled', 'outbox'];
+
+// Trả email về thư mục Draft khi không thể gửi
+async function returnToDrafts(entry, reason) {
+  console.warn(`Scheduled email ${entry._id} returned to drafts: ${reason}`);
+  const email = entry.email;
+  email.scheduledAt = undefined;
+  email.draftSavedAt = new Date();
+  await email.save();
+  entry.folder = 'draft';
+  entry.sentAt = email.draftSavedAt;
+  await entry.save();
+}
+
+// Địa chỉ đã nhận được email: có bản trong hộp thư nội bộ hoặc đã vào hàng đợi SMTP
+async function deliveredAddresses(email) {
+  const entries = await MailboxEntry.find({ email: email._id, role: { $ne: 'sender' } }, 'userId');
+  const users = await User.find({ _id: { $in: entries.map(e => e.userId) } }, 'email');
+  const outbound = await OutboundDelivery.find({ email: email._id }, 'address');
+  return new Set([...users.map(u => u.email), ...outbound.map(d => d.address)]);
+}
+
+/**
+ * Phát email bị lỗi: chưa ai nhận được thì trả về Draft để người dùng gửi lại; đã có người nhận thì giữ
+ * trong Sent (gửi lại sẽ trùng lặp) và ghi lại các người nhận chưa nhận được.
+ */
+async function handleDispatchFailure(entry) {
+  const email = entry.email;
+  const delivered = await deliveredAddresses(email);
+  if (delivered.size === 0) return returnToDrafts(entry, 'delivery failed');
+
+  const addresses = [...new Set([...email.recipients, ...(email.cc || []), ...(email.bcc || [])])];
+  email.failedRecipients = addresses.filter(address => !delivered.has(address));
+  await email.save();
+  console.warn(`Scheduled email ${entry._id} partially delivered, failed: ${email.failedRecipients.join(', ')}`);
+}
+
+// Gửi một email đã được nhận xử lý (mục của người gửi đã chuyển sang Sent)
+async function dispatchEntry(entry) {
+  const email = entry.email;
+  // Nội dung email đã bị xóa: không còn gì để gửi, bỏ mục mồ côi
+  if (!email) {
+    console.warn(`Scheduled email ${entry._id} has no content, removed`);
+    await MailboxEntry.deleteOne({ _id: entry._id });
+    return;
+  }
+  try {
+    const sender = await User.findById(entry.userId);
+    if (!sender || !sender.isEmailVerified || sender.email !== email.sender) {
+      return returnToDrafts(entry, 'sender no longer verified');
+    }
+
+    email.sentAt = new Date();
+    email.scheduledAt = undefined;
+    await email.save();
+    entry.sentAt = email.sentAt;
+    await entry.save();
+
+    await deliverToRecipients(email, sender, { io: schedulerIo });
+    // Danh bạ chỉ ghi nhận khi email thực sự được gửi: email hủy trong thời gian hoàn tác không để lại dấu vết
+    await Contact.recordSent(sender, [...email.recipients, ...(email.cc || []), ...(email.bcc || [])])
+      .catch(err => console.error(`Record contacts error for email ${entry._id}:`, err.message, err.stack));
+  } catch (err) {
+    console.error(`Scheduled send error for email ${entry._id}:`, err.message, err.stack);
+    try {
+      await handleDispatchFailure(entry);
+    } catch (restoreErr) {
+      console.error(`Scheduled send recovery error for email ${entry._id}:`, restoreErr.message, restoreErr.stack);
+    }
+  }
+}
+
+/**
+ * Gửi mọi email hẹn giờ hoặc hết thời gian hoàn tác đã đến hạn. Trạng thái nằm trong MongoDB nên email
+ * đến hạn trong lúc server tắt sẽ được gửi ở lần quét đầu tiên sau khi khởi động lại.
+ */
+async function dispatchDueEmails() {
+  if (running) {
+    rerunRequested = true;
+    return;
+  }
+  running = true;
+  try {
+    let entry;
+    // Chuyển mục sang Sent một cách nguyên tử để mỗi email chỉ được gửi một lần
+    while ((entry = await MailboxEntry.findOneAndUpdate(
+      { folder: { $in: PENDING_FOLDERS }, sentAt: { $lte: new Date() } },
+      { folder: 'sent' },
+      { sort: { sentAt: 1 }, new: true }
+    ).populate('email'))) {
+      await dispatchEntry(entry);
+    }
+  } catch (err) {
+    console.error('Scheduler error:', err.message, err.stack);
+  } finally {
+    running = false;
+  }
+  if (rerunRequested) {
+    rerunRequested = false;
+    await dispatchDueEmails();
+  }
+}
+
+// Hẹn quét sớm hơn chu kỳ thường khi có email đến hạn trước lần quét kế tiếp
+function wakeSchedulerAt(date) {
+  const target = new Date(date).getTime();
+  const delay = Math.max(target - Date.now(), 0);
+  if (delay >= getIntervalMs()) return;
+  if (wakeTimer && wakeAt <= target) return;
+  if (wakeTimer) clearTimeout(wakeTimer);
+  wakeAt = target;
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    dispatchDueEmails();
+  }, delay);
+}
+
+// Giữ email đã lưu trong thư mục chờ (Scheduled hoặc Outbox) của người gửi cho tới thời điểm gửi
+async function holdForDelivery(email, senderUser, folder, deliverAt) {
+  const entry = new MailboxEntry({
+    userId: senderUser._id,
+    email: email._id,
+    role: 'sender',
+    folder,
+    isRead: true,
+    threadId: email.threadId,
+    sentAt: deliverAt
+  });
+  await entry.save();
+  wakeSchedulerAt(deliverAt);
+  return entry;
+}
+
+// Khởi động bộ gửi email hẹn giờ
+function startScheduler(io) {
+  schedulerIo = io;
+  dispatchDueEmails();
+  setInterval(dispatchDueEmails, getIntervalMs());
+  console.log('Scheduled email dispatcher started');
+}
+
+module.exports = { startScheduler, dispatchDueEmails, wakeSchedulerAt, holdForDelivery };
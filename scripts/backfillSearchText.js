@@ -0,0 +1,46 @@
+/**
+ * Điền trường bodyText (văn bản thuần dùng cho chỉ mục tìm kiếm) cho các email lưu trước khi có trường này,
+ * và tạo chỉ mục toàn văn nếu chưa có.
+ *
+ * Chạy: npm run backfill:search
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Email = require('../models/Email');
+const { htmlToText } = require('../messageUtils');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const BATCH_SIZE = 500;
+
+async function backfill() {
+  await Email.syncIndexes();
+
+  let updated = 0;
+  let batch = [];
+  const cursor = Email.collection.find({ bodyText: { $exists: false } }, { projection: { body: 1 } });
+
+  for await (const doc of cursor) {
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { bodyText: htmlToText(doc.body) } } } });
+    if (batch.length === BATCH_SIZE) {
+      await Email.collection.bulkWrite(batch);
+      updated += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await Email.collection.bulkWrite(batch);
+    updated += batch.length;
+  }
+
+  console.log(`Search text backfilled for ${updated} emails`);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(backfill)
+  .catch(err => {
+    console.error('Search backfill error:', err.message, err.stack);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
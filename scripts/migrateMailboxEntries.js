@@ -0,0 +1,156 @@
+/**
+ * Migration: chuyển các bản sao Email cũ (mỗi người nhận giữ một bản đầy đủ kèm folder/isRead/...)
+ * sang mô hình mới: một Email dùng chung + một MailboxEntry cho mỗi người dùng.
+ *
+ * Chạy: npm run migrate:mailbox
+ *
+ * - Các bản sao của cùng một email được nhận diện bằng messageId, hoặc với email cũ hơn bằng
+ *   cùng người gửi, tiêu đề, nội dung và thời gian gửi cách nhau không quá 1 phút.
+ * - Các route cũ luôn lưu bản của người gửi trước, nên bản có _id nhỏ nhất trong nhóm là bản Sent.
+ *   Mỗi bản còn lại chỉ có một người nhận duy nhất trong `recipients`, đó là chủ của bản sao.
+ * - Mỗi MailboxEntry giữ nguyên _id của bản sao cũ để ID mà client đang lưu vẫn dùng được.
+ * - Có thể chạy lại nhiều lần: chỉ các document còn trường `folder` mới được xử lý.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Email = require('../models/Email');
+const MailboxEntry = require('../models/MailboxEntry');
+const { generateMessageId } = require('../messageUtils');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const SAME_MESSAGE_WINDOW = 60 * 1000;
+
+// Gom các bản sao cũ thành từng nhóm, mỗi nhóm là một email
+function groupLegacyCopies(docs) {
+  const clustersByKey = new Map();
+  const groups = [];
+
+  for (const doc of docs) {
+    if (doc.folder === 'draft') {
+      groups.push([doc]);
+      continue;
+    }
+
+    const key = doc.messageId || [doc.sender, doc.subject, doc.body].join('\u0000');
+    const clusters = clustersByKey.get(key) || [];
+    const last = clusters[clusters.length - 1];
+    const lastDoc = last && last[last.length - 1];
+
+    if (lastDoc && (doc.messageId || Math.abs(doc.sentAt - lastDoc.sentAt) <= SAME_MESSAGE_WINDOW)) {
+      last.push(doc);
+    } else {
+      const group = [doc];
+      clusters.push(group);
+      groups.push(group);
+      clustersByKey.set(key, clusters);
+    }
+  }
+
+  return groups;
+}
+
+// Bản đầu tiên là của người gửi nếu nằm trong Sent/Draft, hoặc đã bị chuyển đi khi nhóm không còn bản Sent nào
+function hasSenderCopy(group) {
+  const [first] = group;
+  if (['sent', 'draft'].includes(first.folder)) return true;
+  return !['inbox', 'spam'].includes(first.folder) && !group.some(doc => doc.folder === 'sent');
+}
+
+function roleOf(address, email) {
+  if ((email.cc || []).includes(address) && !email.recipients.includes(address)) return 'cc';
+  if ((email.bcc || []).includes(address) && !email.recipients.includes(address)) return 'bcc';
+  return 'to';
+}
+
+async function migrateGroup(group, usersByEmail) {
+  const [first] = group;
+  const senderCopy = hasSenderCopy(group) ? first : null;
+  const recipientCopies = senderCopy ? group.slice(1) : group;
+
+  // Nội dung dùng chung: lấy danh sách người nhận đầy đủ từ bản Sent nếu còn
+  const content = {
+    recipients: senderCopy
+      ? senderCopy.recipients
+      : [...new Set(recipientCopies.flatMap(doc => doc.recipients))],
+    cc: (senderCopy || first).cc || [],
+    bcc: (senderCopy || first).bcc || [],
+    messageId: first.messageId || generateMessageId(),
+    threadId: first.threadId || first._id.toString()
+  };
+
+  const entries = [];
+  if (senderCopy && usersByEmail.has(senderCopy.sender)) {
+    entries.push({ doc: senderCopy, userId: usersByEmail.get(senderCopy.sender)._id, role: 'sender' });
+  }
+  for (const doc of recipientCopies) {
+    const owner = usersByEmail.get(doc.recipients[0]);
+    if (owner) entries.push({ doc, userId: owner._id, role: roleOf(owner.email, content) });
+  }
+
+  if (entries.length > 0) {
+    await MailboxEntry.bulkWrite(entries.map(({ doc, userId, role }) => ({
+      replaceOne: {
+        filter: { _id: doc._id },
+        replacement: {
+          _id: doc._id,
+          userId,
+          email: first._id,
+          role,
+          folder: doc.folder || 'inbox',
+          labels: doc.labels || [],
+          isRead: doc.isRead || false,
+          isStarred: doc.isStarred || false,
+          isSpam: doc.isSpam || false,
+          threadId: content.threadId,
+          sentAt: doc.folder === 'draft' ? doc.draftSavedAt || doc.sentAt : doc.sentAt
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  await Email.collection.updateOne(
+    { _id: first._id },
+    {
+      $set: content,
+      $unset: { folder: '', labels: '', isRead: '', isStarred: '', isSpam: '' }
+    }
+  );
+  const duplicateIds = group.slice(1).map(doc => doc._id);
+  if (duplicateIds.length > 0) {
+    await Email.collection.deleteMany({ _id: { $in: duplicateIds } });
+  }
+
+  return entries.length;
+}
+
+async function migrate() {
+  const legacyDocs = await Email.collection.find({ folder: { $exists: true } }).sort({ _id: 1 }).toArray();
+  if (legacyDocs.length === 0) {
+    console.log('Nothing to migrate');
+    return;
+  }
+
+  const addresses = new Set(legacyDocs.flatMap(doc => [doc.sender, ...(doc.recipients || [])]));
+  const users = await User.find({ email: { $in: [...addresses] } });
+  const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+  const groups = groupLegacyCopies(legacyDocs);
+  let entryCount = 0;
+  for (const group of groups) {
+    entryCount += await migrateGroup(group, usersByEmail);
+  }
+
+  console.log(`Migrated ${legacyDocs.length} legacy email copies into ${groups.length} emails and ${entryCount} mailbox entries`);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .catch(err => {
+    console.error('Mailbox migration error:', err.message, err.stack);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
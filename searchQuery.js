@@ -0,0 +1,190 @@
+const { escapeHtml } = require('./messageUtils');
+
+// Cú pháp tìm kiếm kiểu Gmail: from:, to:, cc:, subject:, label:, in:, is:, has:, filename:,
+// before:, after:, larger:, smaller:, cụm từ trong ngoặc kép và phủ định bằng dấu "-"
+const OPERATORS = ['from', 'to', 'cc', 'subject', 'label', 'in', 'is', 'has', 'filename', 'before', 'after', 'larger', 'smaller'];
+
+const TOKEN_REGEX = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+// Thoát các ký tự đặc biệt để dùng chuỗi người dùng nhập trong $regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsRegex = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
+
+// Đổi kích thước dạng 10M, 500K, 2000 sang byte
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(value);
+  if (!match) return null;
+  const multipliers = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  return Math.round(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+}
+
+// Chấp nhận 2024/01/31, 2024-01-31 hoặc chuỗi ngày bất kỳ mà Date hiểu được
+function parseDate(value) {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) * 1000 : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Tách chuỗi tìm kiếm thành từ khóa tự do và bộ lọc.
+ * Ví dụ: `from:alice "quarterly report" -draft has:attachment larger:2M`
+ */
+function parseSearchQuery(q = '') {
+  const parsed = { terms: [], phrases: [], excluded: [], filters: [] };
+  let match;
+  TOKEN_REGEX.lastIndex = 0;
+
+  while ((match = TOKEN_REGEX.exec(q)) !== null) {
+    const negated = match[1] === '-';
+    const op = match[2] && match[2].toLowerCase();
+    const quoted = match[3] !== undefined;
+    const value = quoted ? match[3] : match[4];
+
+    if (op && OPERATORS.includes(op)) {
+      if (value) parsed.filters.push({ op, value, negated });
+      continue;
+    }
+
+    // Tiền tố không phải toán tử (ví dụ "http:") được coi là một phần của từ khóa
+    const text = match[2] ? `${match[2]}:${value}` : value;
+    if (!text) continue;
+    if (negated) parsed.excluded.push(text);
+    else if (quoted) parsed.phrases.push(text);
+    else parsed.terms.push(text);
+  }
+
+  return parsed;
+}
+
+/**
+ * Tạo điều kiện MongoDB từ truy vấn đã phân tích.
+ * - emailConditions: áp dụng lên Email (tên trường có tiền tố `emailPrefix`, ví dụ 'email.' sau $lookup)
+ * - entryConditions: áp dụng lên MailboxEntry của người dùng
+ * - textSearch: chuỗi cho $text, null nếu không có từ khóa tự do
+ * Trả về { error } nếu một bộ lọc không hợp lệ.
+ */
+function buildSearchConditions(parsed, { labelIdsByName = new Map(), emailPrefix = '' } = {}) {
+  const field = (name) => `${emailPrefix}${name}`;
+  const emailConditions = [];
+  const entryConditions = [];
+  let folderFilter = false;
+
+  const add = (list, condition, negated) => list.push(negated ? { $nor: [condition] } : condition);
+
+  for (const { op, value, negated } of parsed.filters) {
+    const lowerValue = value.toLowerCase();
+    switch (op) {
+      case 'from':
+        add(emailConditions, { [field('sender')]: containsRegex(value) }, negated);
+        break;
+      case 'to':
+        add(emailConditions, {
+          $or: [{ [field('recipients')]: containsRegex(value) }, { [field('cc')]: containsRegex(value) }]
+        }, negated);
+        break;
+      case 'cc':
+        add(emailConditions, { [field('cc')]: containsRegex(value) }, negated);
+        break;
+      case 'subject':
+        add(emailConditions, { [field('subject')]: containsRegex(value) }, negated);
+        break;
+      case 'filename':
+        add(emailConditions, { [field('attachments.filename')]: containsRegex(value) }, negated);
+        break;
+      case 'has':
+        if (!['attachment', 'attachments'].includes(lowerValue)) return { error: `Unsupported operator has:${value}` };
+        add(emailConditions, { [field('attachments.0')]: { $exists: true } }, negated);
+        break;
+      case 'larger':
+      case 'smaller': {
+        const bytes = parseSize(value);
+        if (bytes === null) return { error: `Invalid size in ${op}:${value}` };
+        // Kích thước email = nội dung + tổng dung lượng tệp đính kèm
+        const size = {
+          $add: [
+            { $strLenBytes: { $ifNull: [`$${field('body')}`, ''] } },
+            { $sum: { $ifNull: [`$${field('attachments.size')}`, []] } }
+          ]
+        };
+        add(emailConditions, { $expr: { [op === 'larger' ? '$gt' : '$lt']: [size, bytes] } }, negated);
+        break;
+      }
+      case 'label': {
+        const labelId = labelIdsByName.get(lowerValue);
+        // Nhãn không tồn tại: không email nào khớp (hoặc mọi email khi phủ định)
+        add(entryConditions, labelId ? { labels: labelId } : { _id: null }, negated);
+        break;
+      }
+      case 'in':
+        if (lowerValue === 'anywhere') {
+          folderFilter = true;
+        } else if (lowerValue === 'starred') {
+          add(entryConditions, { isStarred: true }, negated);
+        } else {
+          folderFilter = folderFilter || !negated;
+          add(entryConditions, { folder: lowerValue }, negated);
+        }
+        break;
+      case 'is':
+        if (lowerValue === 'unread' || lowerValue === 'read') {
+          add(entryConditions, { isRead: lowerValue === 'read' }, negated);
+        } else if (lowerValue === 'starred') {
+          add(entryConditions, { isStarred: true }, negated);
+        } else {
+          return { error: `Unsupported operator is:${value}` };
+        }
+        break;
+      case 'before':
+      case 'after': {
+        const date = parseDate(value);
+        if (!date) return { error: `Invalid date in ${op}:${value}` };
+        add(entryConditions, { sentAt: op === 'before' ? { $lt: date } : { $gte: date } }, negated);
+        break;
+      }
+    }
+  }
+
+  // Mặc định như Gmail: bỏ qua Trash và Spam trừ khi có in:
+  if (!folderFilter) entryConditions.push({ folder: { $nin: ['trash', 'spam'] } });
+
+  let textSearch = null;
+  if (parsed.terms.length > 0 || parsed.phrases.length > 0) {
+    textSearch = [
+      ...parsed.terms,
+      ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+      ...parsed.excluded.map(word => `-${word.includes(' ') ? `"${word}"` : word}`)
+    ].join(' ');
+  } else {
+    // $text không hỗ trợ truy vấn chỉ có từ phủ định: loại trừ bằng regex
+    for (const word of parsed.excluded) {
+      emailConditions.push({
+        $nor: [{ [field('subject')]: containsRegex(word) }, { [field('bodyText')]: containsRegex(word) }]
+      });
+    }
+  }
+
+  return { emailConditions, entryConditions, textSearch };
+}
+
+/**
+ * Đánh dấu các từ khóa bằng <mark> trong một đoạn trích quanh lần xuất hiện đầu tiên.
+ * Văn bản được escape HTML trước khi chèn thẻ.
+ */
+function highlight(text, words, length = 160) {
+  text = (text || '').replace(/\s+/g, ' ').trim();
+  const patterns = words.filter(Boolean).map(escapeRegex);
+  if (patterns.length === 0) return escapeHtml(text.slice(0, length));
+
+  const regex = new RegExp(`(${patterns.join('|')})`, 'gi');
+  const first = text.search(regex);
+  const start = first > length / 3 ? first - Math.floor(length / 3) : 0;
+  let snippet = text.slice(start, start + length);
+  snippet = `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`;
+
+  return snippet
+    .split(regex)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+module.exports = { parseSearchQuery, buildSearchConditions, highlight, escapeRegex };
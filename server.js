@@ -3,10 +3,19 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
 const authRoutes = require('./routes/auth');
 const emailRoutes = require('./routes/email');
 const userRoutes = require('./routes/user');
+const contactRoutes = require('./routes/contacts');
+const { startScheduler } = require('./scheduler');
+const { startOutboundWorker } = require('./outbound');
+const { startInboundServer } = require('./inbound');
+const { startMailboxJobs } = require('./mailboxJobs');
+const { startAccountPurge } = require('./accountDeletion');
+const { startTrashPurge } = require('./mailboxCleanup');
+const { getDriverName } = require('./storage');
 
 // Explicitly specify the path to .env
 dotenv.config({ path: __dirname + '/.env' });
@@ -24,9 +33,28 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 
+// Phục vụ ảnh đại diện khi lưu trên đĩa cục bộ; tệp đính kèm chỉ tải qua /api/email/attachments/:id
+if (getDriverName() === 'local') {
+  app.use('/uploads/profiles', express.static(path.join(require('./storage/localDriver').getLocalDir(), 'profiles')));
+}
+
 // Kết nối MongoDB Atlas
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB Atlas'))
+  .then(() => {
+    console.log('Connected to MongoDB Atlas');
+    // Bộ gửi email hẹn giờ
+    startScheduler(io);
+    // Bộ gửi email ra ngoài qua SMTP relay
+    startOutboundWorker(io);
+    // SMTP server nhận email từ bên ngoài
+    startInboundServer(io);
+    // Tác vụ xuất / nhập hộp thư
+    startMailboxJobs(io);
+    // Xóa tài khoản đã hết thời gian chờ
+    startAccountPurge();
+    // Tự động xóa email quá hạn trong Trash / Spam
+    startTrashPurge();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // WebSocket: Lưu kết nối người dùng
@@ -51,6 +79,7 @@ app.set('io', io);
 app.use('/api/auth', authRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/contacts', contactRoutes);
 
 // Khởi động server
 const PORT = process.env.PORT || 3000;
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('./models/Session');
+const User = require('./models/User');
+
+// Thời hạn access token (cú pháp của jsonwebtoken, ví dụ 15m, 1h) và refresh token (ngày)
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+// Phiên chỉ cập nhật lastSeenAt tối đa mỗi phút một lần
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh token dạng "<sessionId>.<chuỗi ngẫu nhiên>"
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Tên thiết bị ngắn gọn từ User-Agent, ví dụ "Chrome on Windows"
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browsers = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari'], [/okhttp|Dart|Expo/i, 'Mobile app'],
+    [/curl|PostmanRuntime|axios|node-fetch/i, 'API client']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iOS/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']
+  ];
+  const browser = (browsers.find(([pattern]) => pattern.test(userAgent)) || [null, 'Unknown browser'])[1];
+  const system = (systems.find(([pattern]) => pattern.test(userAgent)) || [null, null])[1];
+  return system ? `${browser} on ${system}` : browser;
+}
+
+const clientInfo = (req) => {
+  const userAgent = String(req.headers['user-agent'] || '').slice(0, 512);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || '' };
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: getAccessTokenTtl() });
+
+// Nội dung trả về cho client sau khi đăng nhập / làm mới
+const buildTokens = (session, refreshSecret) => {
+  const token = signAccessToken(session.userId, session._id);
+  return {
+    token,
+    refreshToken: `${session._id}.${refreshSecret}`,
+    expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000), // Giây
+    refreshExpiresAt: session.expiresAt
+  };
+};
+
+// Tạo phiên mới cho người dùng vừa đăng nhập / đăng ký
+async function createSession(user, req) {
+  const refreshSecret = newRefreshSecret();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshSecret),
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+  return buildTokens(session, refreshSecret);
+}
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !/^[0-9a-f]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Đổi refresh token lấy cặp token mới (token cũ hết hiệu lực).
+ * Dùng lại một token đã bị đổi nghĩa là token bị lộ: phiên bị thu hồi. Trả về null nếu token không hợp lệ.
+ */
+async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const hash = hashToken(parsed.secret);
+  const refreshSecret = newRefreshSecret();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: hash, expiresAt: { $gt: now } },
+    { $set: { tokenHash: hashToken(refreshSecret), previousTokenHash: hash, lastSeenAt: now, ...clientInfo(req) } },
+    { new: true }
+  );
+  if (session) return buildTokens(session, refreshSecret);
+
+  const reused = await Session.findOneAndDelete({ _id: parsed.sessionId, previousTokenHash: hash });
+  if (reused) console.warn(`Refresh token reuse detected, session ${reused._id} revoked`);
+  return null;
+}
+
+// Thu hồi phiên của refresh token (đăng xuất); trả về true nếu có phiên bị xóa
+async function revokeRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const result = await Session.deleteOne({ _id: parsed.sessionId, tokenHash: hashToken(parsed.secret) });
+  return result.deletedCount > 0;
+}
+
+// Thu hồi mọi phiên của người dùng, trừ phiên exceptSessionId (nếu có)
+async function revokeOtherSessions(userId, exceptSessionId) {
+  const query = { userId };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  const result = await Session.deleteMany(query);
+  return result.deletedCount;
+}
+
+/**
+ * Kiểm tra access token và phiên của nó. Trả về { user, session }; ném lỗi nếu token sai/hết hạn,
+ * trả về { user: null } nếu phiên đã bị thu hồi hoặc người dùng không còn tồn tại.
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sessionId) return { user: null, session: null };
+  const session = await Session.findOne({ _id: decoded.sessionId, userId: decoded.userId });
+  if (!session || session.expiresAt <= new Date()) return { user: null, session: null };
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+  const user = await User.findById(decoded.userId);
+  return { user, session };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeRefreshToken,
+  revokeOtherSessions,
+  verifyAccessToken,
+  describeDevice
+};
@@ -0,0 +1,111 @@
+const SpamModel = require('./models/SpamModel');
+const SpamToken = require('./models/SpamToken');
+const { htmlToText } = require('./messageUtils');
+
+// Bộ phân loại Naive Bayes theo token: một mô hình chung (userId = null) và một mô hình cho mỗi người dùng.
+// Mỗi lần người dùng đánh dấu Spam / Không phải spam, cả hai mô hình đều được huấn luyện.
+
+const MAX_TOKENS = 300;
+// Mô hình chỉ được dùng khi đã học đủ email của cả hai loại
+const MIN_TRAINED_PER_CLASS = 5;
+
+// Tách email thành tập token: từ trong tiêu đề (tiền tố "subject:"), từ trong nội dung và tên miền người gửi
+function tokenize(email) {
+  const tokens = new Set();
+  const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}$€£%-]{3,24}/gu) || [];
+
+  words(email.subject).forEach(word => tokens.add(`subject:${word}`));
+  for (const word of words(email.bodyText || htmlToText(email.body))) {
+    if (tokens.size >= MAX_TOKENS) break;
+    tokens.add(word);
+  }
+
+  const domain = (email.sender || '').split('@')[1];
+  if (domain) tokens.add(`from-domain:${domain.toLowerCase()}`);
+  if (/https?:\/\//i.test(email.body || '')) tokens.add('has:link');
+  if (email.attachments && email.attachments.length > 0) tokens.add('has:attachment');
+
+  return [...tokens];
+}
+
+// Xác suất spam theo một mô hình; null nếu mô hình chưa học đủ
+function modelProbability(model, counts, tokens) {
+  if (!model || model.spamCount < MIN_TRAINED_PER_CLASS || model.hamCount < MIN_TRAINED_PER_CLASS) return null;
+
+  // Tiên nghiệm 50/50 để tỉ lệ spam/ham đã học không làm lệch kết quả; token chưa gặp bị bỏ qua
+  let logOdds = 0;
+  for (const token of tokens) {
+    const count = counts.get(token);
+    if (!count) continue;
+    const pSpam = (count.spamCount + 1) / (model.spamCount + 2);
+    const pHam = (count.hamCount + 1) / (model.hamCount + 2);
+    logOdds += Math.log(pSpam / pHam);
+  }
+  return 1 / (1 + Math.exp(-logOdds));
+}
+
+/**
+ * Tính xác suất email là spam với người nhận `userId`.
+ * Trả về null nếu chưa có mô hình nào học đủ dữ liệu.
+ */
+async function classify(email, userId = null) {
+  const tokens = tokenize(email);
+  const userIds = userId ? [null, userId] : [null];
+
+  const [models, tokenCounts] = await Promise.all([
+    SpamModel.find({ userId: { $in: userIds } }),
+    SpamToken.find({ userId: { $in: userIds }, token: { $in: tokens } })
+  ]);
+
+  const probabilityFor = (id) => {
+    const key = id ? id.toString() : null;
+    const model = models.find(m => (m.userId ? m.userId.toString() : null) === key);
+    const counts = new Map(tokenCounts
+      .filter(t => (t.userId ? t.userId.toString() : null) === key)
+      .map(t => [t.token, t]));
+    return modelProbability(model, counts, tokens);
+  };
+
+  const globalProbability = probabilityFor(null);
+  const userProbability = userId ? probabilityFor(userId) : null;
+
+  // Ưu tiên mô hình riêng của người dùng khi đã đủ dữ liệu, kết hợp với mô hình chung
+  if (userProbability !== null && globalProbability !== null) return 0.7 * userProbability + 0.3 * globalProbability;
+  return userProbability !== null ? userProbability : globalProbability;
+}
+
+// Cộng (delta = 1) hoặc trừ (delta = -1) số đếm của email vào mô hình của userId
+async function updateModel(userId, tokens, isSpam, delta) {
+  const field = isSpam ? 'spamCount' : 'hamCount';
+  await SpamModel.updateOne(
+    { userId },
+    { $inc: { [field]: delta }, $set: { updatedAt: new Date() } },
+    { upsert: true }
+  );
+  if (tokens.length === 0) return;
+  await SpamToken.bulkWrite(tokens.map(token => ({
+    updateOne: {
+      filter: { userId, token },
+      update: { $inc: { [field]: delta } },
+      upsert: true
+    }
+  })));
+}
+
+/**
+ * Huấn luyện mô hình chung và mô hình của người dùng từ hành động Spam / Không phải spam
+ * trên một mục hộp thư (đã populate 'email'). Mỗi mục chỉ được học một lần; nếu người dùng
+ * đổi ý, lần học trước được gỡ bỏ. Cập nhật entry.spamTrainedAs nhưng không lưu entry.
+ */
+async function trainFromEntry(entry, isSpam) {
+  if (entry.spamTrainedAs === isSpam) return;
+
+  const tokens = tokenize(entry.email);
+  for (const userId of [null, entry.userId]) {
+    if (typeof entry.spamTrainedAs === 'boolean') await updateModel(userId, tokens, entry.spamTrainedAs, -1);
+    await updateModel(userId, tokens, isSpam, 1);
+  }
+  entry.spamTrainedAs = isSpam;
+}
+
+module.exports = { classify, trainFromEntry, tokenize };
@@ -1,50 +1,74 @@
 const User = require('./models/User');
+const { classify } = require('./spamClassifier');
 
-// Simple rule-based spam detection
-async function detectSpam(email, sender) {
+// Ngưỡng điểm (0..1) để coi email là spam; mặc định cao hơn trọng số của mọi quy tắc đơn lẻ
+// nên một dấu hiệu duy nhất không đủ để chuyển email vào Spam
+const getSpamThreshold = () => {
+  const threshold = parseFloat(process.env.SPAM_THRESHOLD);
+  return Number.isFinite(threshold) ? threshold : 0.7;
+};
+// Trọng số của bộ phân loại khi kết hợp với các quy tắc
+const CLASSIFIER_WEIGHT = 0.6;
+
+// Common spam keywords
+const spamKeywords = [
+  'win a prize', 'free offer', 'click here', 'urgent', 'limited time offer',
+  'make money fast', 'lottery', 'guaranteed', 'viagra', 'cheap pills'
+];
+
+// Các quy tắc đơn giản; mỗi quy tắc khớp đóng góp một trọng số vào điểm spam
+async function heuristicSignals(email, sender, external) {
+  const signals = [];
+  const subject = (email.subject || '').toLowerCase();
+  const body = (email.body || '').toLowerCase();
+
+  // 1. Keyword-based detection
+  const keyword = spamKeywords.find(k => subject.includes(k) || body.includes(k));
+  if (keyword) signals.push({ weight: 0.6, reason: `Contains spam phrase "${keyword}"` });
+
+  // 2. Excessive links (e.g., more than 5 URLs in body)
+  const links = body.match(/https?:\/\/[^\s<>"']+/g) || [];
+  if (links.length > 5) signals.push({ weight: 0.5, reason: `Contains ${links.length} links` });
+
+  // 3. Sender reputation: người gửi chưa xác minh chỉ làm tăng điểm, không tự động bị coi là spam.
+  // Email từ bên ngoài không được tính là người dùng đã xác minh dù From trùng địa chỉ của họ
+  const senderUser = !external && await User.findOne({ email: sender, isEmailVerified: true });
+  if (!senderUser) signals.push({ weight: 0.3, reason: 'Sender is not a verified user' });
+
+  // 4. Excessive recipients (e.g., more than 10 recipients)
+  const recipientCount = email.recipients.length + (email.cc || []).length + (email.bcc || []).length;
+  if (recipientCount > 10) signals.push({ weight: 0.3, reason: `Sent to ${recipientCount} recipients` });
+
+  // Tệp đính kèm nguy hiểm không làm tăng điểm spam: chúng bị từ chối hoặc cách ly theo attachmentPolicy.js
+
+  return signals;
+}
+
+/**
+ * Chấm điểm spam cho email với người nhận `recipientId`.
+ * Điểm quy tắc = 1 - Π(1 - trọng số); khi bộ phân loại đã được huấn luyện, điểm cuối cùng là
+ * trung bình có trọng số giữa xác suất của bộ phân loại và điểm quy tắc.
+ * Trả về { isSpam, score, reasons }.
+ */
+async function detectSpam(email, sender, { recipientId = null, external = false } = {}) {
   try {
-    // Common spam keywords
-    const spamKeywords = [
-      'win a prize', 'free offer', 'click here', 'urgent', 'limited time offer',
-      'make money fast', 'lottery', 'guaranteed', 'viagra', 'cheap pills'
-    ];
-
-    // Check for suspicious patterns
-    const subject = email.subject.toLowerCase();
-    const body = email.body.toLowerCase();
-
-    // 1. Keyword-based detection
-    const hasSpamKeyword = spamKeywords.some(keyword => 
-      subject.includes(keyword) || body.includes(keyword)
-    );
-    if (hasSpamKeyword) return true;
-
-    // 2. Excessive links (e.g., more than 5 URLs in body)
-    const urlRegex = /https?:\/\/[^\s<>"']+/g;
-    const links = body.match(urlRegex) || [];
-    if (links.length > 5) return true;
-
-    // 3. Sender reputation (e.g., check if sender is unverified)
-    const senderUser = await User.findOne({ email: sender, isEmailVerified: true });
-    if (!senderUser) return true; // Unverified sender is considered spam
-
-    // 4. Excessive recipients (e.g., more than 10 recipients)
-    if (email.recipients.length > 10) return true;
-
-    // 5. Suspicious attachments (e.g., large or unusual file types)
-    if (email.attachments && email.attachments.length > 0) {
-      const hasSuspiciousAttachment = email.attachments.some(attachment => 
-        attachment.size > 5 * 1024 * 1024 || // Larger than 5MB
-        !['jpg', 'jpeg', 'png', 'pdf'].includes(attachment.filename.split('.').pop().toLowerCase())
-      );
-      if (hasSuspiciousAttachment) return true;
+    const signals = await heuristicSignals(email, sender, external);
+    const heuristicScore = 1 - signals.reduce((product, s) => product * (1 - s.weight), 1);
+    const reasons = signals.map(s => s.reason);
+
+    const probability = await classify(email, recipientId);
+    let score = heuristicScore;
+    if (probability !== null) {
+      score = CLASSIFIER_WEIGHT * probability + (1 - CLASSIFIER_WEIGHT) * heuristicScore;
+      reasons.push(`Classifier spam probability ${probability.toFixed(2)}`);
     }
 
-    return false; // Not spam
+    score = Math.round(score * 1000) / 1000;
+    return { isSpam: score >= getSpamThreshold(), score, reasons };
   } catch (err) {
     console.error('Spam detection error:', err.message, err.stack);
-    return false; // Default to not spam if detection fails
+    return { isSpam: false, score: 0, reasons: [] }; // Default to not spam if detection fails
   }
 }
 
-module.exports = { detectSpam };
\ No newline at end of file
+module.exports = { detectSpam, getSpamThreshold };
@@ -0,0 +1,57 @@
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+
+// Lưu tệp trên Cloudinary (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET),
+// mọi tệp nằm trong thư mục gốc CLOUDINARY_FOLDER
+let configured = false;
+
+function configure() {
+  if (configured) return;
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+  configured = true;
+}
+
+// Cloudinary tự đặt public_id và loại tài nguyên (image/raw/video); key lưu cả hai dạng "<loại>:<public_id>"
+// để có thể xóa đúng tài nguyên sau này
+async function put(buffer, { key }) {
+  configure();
+  const folder = [process.env.CLOUDINARY_FOLDER || 'email_app', key.split('/')[0]].join('/');
+  const result = await new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      { folder, resource_type: 'auto' },
+      (error, result) => error ? reject(error) : resolve(result)
+    );
+    uploadStream.end(buffer);
+  });
+  return { key: `${result.resource_type}:${result.public_id}`, url: result.secure_url };
+}
+
+function parseKey(key) {
+  const separator = key.indexOf(':');
+  return separator > 0
+    ? { resourceType: key.slice(0, separator), publicId: key.slice(separator + 1) }
+    : { resourceType: 'image', publicId: key };
+}
+
+// Đọc tệp qua URL gốc của Cloudinary (có thể chỉ một đoạn byte start..end, tính cả end)
+async function read(key, { start, end } = {}) {
+  configure();
+  const { resourceType, publicId } = parseKey(key);
+  const url = cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+  const headers = start !== undefined ? { Range: `bytes=${start}-${end !== undefined ? end : ''}` } : {};
+  const response = await fetch(url, { headers });
+  if (!response.ok) throw new Error(`Cloudinary download failed: HTTP ${response.status}`);
+  return Readable.fromWeb(response.body);
+}
+
+async function remove(key) {
+  configure();
+  const { resourceType, publicId } = parseKey(key);
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+}
+
+module.exports = { name: 'cloudinary', put, read, remove };
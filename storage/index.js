@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Chọn nơi lưu tệp theo STORAGE_DRIVER (local | s3 | cloudinary).
+// Mặc định dùng Cloudinary nếu đã cấu hình CLOUDINARY_CLOUD_NAME, ngược lại lưu trên đĩa cục bộ.
+const drivers = {
+  local: () => require('./localDriver'),
+  s3: () => require('./s3Driver'),
+  cloudinary: () => require('./cloudinaryDriver')
+};
+
+const getDriverName = () => (process.env.STORAGE_DRIVER
+  || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+
+function getDriver() {
+  const name = getDriverName();
+  if (!drivers[name]) throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+  return drivers[name]();
+}
+
+// Key dạng "<prefix>/<năm>/<tháng>/<ngẫu nhiên>-<tên tệp>"; tên tệp chỉ giữ ký tự an toàn
+function buildKey(prefix, filename) {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const ext = path.extname(filename || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const base = path.basename(filename || 'file', path.extname(filename || ''))
+    .replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 80) || 'file';
+  return `${prefix}/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(8).toString('hex')}-${base}${ext}`;
+}
+
+/**
+ * Lưu một tệp qua driver đang dùng. `prefix` nhóm tệp theo loại (attachments, profiles).
+ * Trả về { key, url }; key dùng để xóa tệp sau này.
+ */
+async function storeFile(buffer, { prefix, filename, contentType }) {
+  return getDriver().put(buffer, { key: buildKey(prefix, filename), contentType, filename });
+}
+
+// Mở luồng đọc tệp đã lưu; `start`/`end` (tính cả end) để đọc một đoạn byte
+async function readFile(key, range) {
+  return getDriver().read(key, range);
+}
+
+// Xóa tệp đã lưu; lỗi chỉ được ghi log để việc xóa email/người dùng không bị gián đoạn
+async function removeFile(key) {
+  if (!key) return;
+  try {
+    await getDriver().remove(key);
+  } catch (err) {
+    console.error('Storage remove error:', err.message, err.stack);
+  }
+}
+
+module.exports = { getDriverName, storeFile, readFile, removeFile };
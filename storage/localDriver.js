@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lưu tệp trên đĩa cục bộ (STORAGE_LOCAL_DIR), server.js phục vụ thư mục này tại /uploads
+const getLocalDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+
+// URL công khai của thư mục /uploads (STORAGE_PUBLIC_URL), mặc định là server đang chạy
+const getPublicUrl = () => (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/uploads`).replace(/\/+$/, '');
+
+// Đường dẫn tuyệt đối của key, không cho phép thoát ra ngoài thư mục lưu trữ
+function resolveKey(key) {
+  const root = getLocalDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return filePath;
+}
+
+async function put(buffer, { key }) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+  return { key, url: `${getPublicUrl()}/${key.split('/').map(encodeURIComponent).join('/')}` };
+}
+
+// Đọc tệp (có thể chỉ một đoạn byte start..end, tính cả end)
+async function read(key, { start, end } = {}) {
+  return fs.createReadStream(resolveKey(key), { start, end });
+}
+
+async function remove(key) {
+  await fs.promises.rm(resolveKey(key), { force: true });
+}
+
+module.exports = { name: 'local', put, read, remove, getLocalDir };
@@ -0,0 +1,54 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Lưu tệp trên S3 hoặc dịch vụ tương thích S3 như MinIO (S3_ENDPOINT, S3_REGION, S3_BUCKET,
+// S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE, S3_PUBLIC_URL)
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+  return client;
+}
+
+function getBucket() {
+  if (!process.env.S3_BUCKET) throw new Error('S3_BUCKET is not configured');
+  return process.env.S3_BUCKET;
+}
+
+// URL công khai của bucket: S3_PUBLIC_URL, hoặc tự suy ra từ endpoint (path style) / AWS (virtual host)
+function getPublicUrl() {
+  if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/+$/, '');
+  if (process.env.S3_ENDPOINT) return `${process.env.S3_ENDPOINT.replace(/\/+$/, '')}/${getBucket()}`;
+  return `https://${getBucket()}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+}
+
+async function put(buffer, { key, contentType }) {
+  await getClient().send(new PutObjectCommand({
+    Bucket: getBucket(),
+    Key: key,
+    Body: buffer,
+    ContentType: contentType || 'application/octet-stream'
+  }));
+  return { key, url: `${getPublicUrl()}/${key.split('/').map(encodeURIComponent).join('/')}` };
+}
+
+// Đọc tệp (có thể chỉ một đoạn byte start..end, tính cả end)
+async function read(key, { start, end } = {}) {
+  const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+  const result = await getClient().send(new GetObjectCommand({ Bucket: getBucket(), Key: key, Range: range }));
+  return result.Body;
+}
+
+async function remove(key) {
+  await getClient().send(new DeleteObjectCommand({ Bucket: getBucket(), Key: key }));
+}
+
+module.exports = { name: 's3', put, read, remove };
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const User = require('./models/User');
+const { sendAccountEmail } = require('./accountMail');
+
+// Xác thực hai bước: TOTP (RFC 6238) từ ứng dụng xác thực, OTP gửi qua email và mã khôi phục dùng một lần
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Chấp nhận lệch một bước (±30 giây) do đồng hồ thiết bị
+const RECOVERY_CODE_COUNT = 10;
+const EMAIL_OTP_TTL_MS = 5 * 60 * 1000;
+// Số lần nhập sai tối đa cho mỗi OTP qua email; vượt quá thì OTP bị hủy
+const getOtpMaxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+
+const getIssuer = () => process.env.TOTP_ISSUER || 'Email App';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Khóa bí mật 160 bit (độ dài khuyến nghị của RFC 4226), dạng base32
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) với HMAC-SHA1
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+// Bước thời gian khớp với mã, hoặc null
+function matchTotpStep(secret, code, now = Date.now()) {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+  const step = currentStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = hotp(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step + offset;
+  }
+  return null;
+}
+
+// URI otpauth:// để ứng dụng xác thực quét (qua mã QR) hoặc nhập tay
+function buildProvisioningUri(secret, accountName) {
+  const issuer = getIssuer();
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Tạo mã khôi phục mới dạng "xxxxx-xxxxx"; trả về { codes (hiển thị một lần), hashes (lưu vào User) }
+function generateRecoveryCodes() {
+  const codes = [];
+  while (codes.length < RECOVERY_CODE_COUNT) {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    if (!codes.includes(code)) codes.push(code);
+  }
+  return { codes, hashes: codes.map(code => ({ hash: hashRecoveryCode(code) })) };
+}
+
+// OTP 6 chữ số ngẫu nhiên an toàn
+const generateEmailOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Gửi OTP tới email của người dùng
+async function sendOtpEmail(to, subject, otp) {
+  await sendAccountEmail(to, subject, `Your OTP is ${otp}. It expires in 5 minutes.`);
+}
+
+// Tạo OTP cho một mục đích (login | reset | 2fa), lưu vào người dùng (thay OTP cũ) và gửi tới email của họ
+async function issueEmailOtp(user, subject, purpose) {
+  const otp = generateEmailOtp();
+  await User.updateOne(
+    { _id: user._id },
+    { otp, otpPurpose: purpose, otpExpires: Date.now() + EMAIL_OTP_TTL_MS, otpAttempts: 0 }
+  );
+  await sendOtpEmail(user.email, subject, otp);
+}
+
+const clearOtp = { $unset: { otp: 1, otpExpires: 1, otpPurpose: 1 }, $set: { otpAttempts: 0 } };
+
+// Dùng OTP qua email: đúng mã, đúng mục đích và còn hạn thì OTP bị hủy ngay (chỉ dùng được một lần)
+async function consumeEmailOtp(user, code, purpose) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return false;
+  const consumed = await User.findOneAndUpdate(
+    { _id: user._id, otp: code, otpPurpose: purpose, otpExpires: { $gt: new Date() } },
+    clearOtp
+  );
+  return Boolean(consumed);
+}
+
+// Ghi nhận một lần nhập sai OTP; hủy OTP khi vượt số lần cho phép
+async function recordOtpFailure(user) {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, otp: { $exists: true, $ne: null } },
+    { $inc: { otpAttempts: 1 } },
+    { new: true }
+  );
+  if (updated && updated.otpAttempts >= getOtpMaxAttempts()) {
+    await User.updateOne({ _id: user._id }, clearOtp);
+  }
+}
+
+/**
+ * Kiểm tra mã xác thực bước hai: TOTP (nếu đã đăng ký), OTP qua email cấp cho `purpose`, hoặc mã khôi phục.
+ * Mã TOTP không dùng lại được trong cùng bước thời gian; OTP và mã khôi phục chỉ dùng một lần.
+ * Trả về phương thức đã khớp ('totp' | 'email' | 'recovery') hoặc null.
+ */
+async function verifySecondFactor(user, code, purpose) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  code = code.trim();
+
+  if (user.totpEnabled) {
+    const step = matchTotpStep(user.totpSecret, code);
+    if (step !== null) {
+      const result = await User.updateOne(
+        { _id: user._id, $or: [{ totpLastUsedStep: { $lt: step } }, { totpLastUsedStep: null }] },
+        { totpLastUsedStep: step }
+      );
+      if (result.modifiedCount > 0) return 'totp';
+    }
+  }
+
+  if (await consumeEmailOtp(user, code, purpose)) return 'email';
+
+  if (/^[a-z2-7]{5}-?[a-z2-7]{5}$/i.test(code)) {
+    const result = await User.updateOne(
+      { _id: user._id, recoveryCodes: { $elemMatch: { hash: hashRecoveryCode(code), usedAt: null } } },
+      { $set: { 'recoveryCodes.$.usedAt': new Date() } }
+    );
+    if (result.modifiedCount > 0) return 'recovery';
+  }
+
+  await recordOtpFailure(user);
+  return null;
+}
+
+// Số mã khôi phục chưa dùng
+const remainingRecoveryCodes = (user) => (user.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+
+module.exports = {
+  generateTotpSecret,
+  matchTotpStep,
+  currentStep,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  generateEmailOtp,
+  sendOtpEmail,
+  issueEmailOtp,
+  consumeEmailOtp,
+  recordOtpFailure,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+  hotp
+};
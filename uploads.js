@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const Email = require('./models/Email');
+const Attachment = require('./models/Attachment');
+const { storeFile, readFile, removeFile } = require('./storage');
+
+// Đường dẫn tải tệp đính kèm qua route có kiểm tra quyền
+const attachmentUrl = (attachmentId) => `/api/email/attachments/${attachmentId}`;
+
+/**
+ * Lưu một tệp, dùng lại bản đã có nếu trùng nội dung (SHA-256) và tăng số tham chiếu.
+ * Trả về Attachment tương ứng.
+ */
+async function storeDeduplicated(file) {
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const existing = await Attachment.findOneAndUpdate({ hash }, { $inc: { refCount: 1 } }, { new: true });
+  if (existing) return existing;
+
+  const { key } = await storeFile(file.buffer, {
+    prefix: 'attachments',
+    filename: file.originalname,
+    contentType: file.mimetype
+  });
+  try {
+    return await Attachment.create({
+      hash,
+      storageKey: key,
+      size: file.buffer.length,
+      contentType: file.mimetype || undefined
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Một yêu cầu khác vừa lưu cùng nội dung: dùng bản đó và xóa bản vừa tải lên
+    await removeFile(key);
+    return Attachment.findOneAndUpdate({ hash }, { $inc: { refCount: 1 } }, { new: true });
+  }
+}
+
+/**
+ * Lưu các tệp đính kèm qua storage đang cấu hình. Mỗi tệp có dạng của multer: { buffer, originalname, size, mimetype }.
+ * Trả về danh sách { url, filename, size, contentType, attachmentId } để lưu vào Email.attachments.
+ */
+async function uploadAttachments(files = []) {
+  const attachments = [];
+  for (const file of files) {
+    const stored = await storeDeduplicated(file);
+    attachments.push({
+      url: attachmentUrl(stored._id),
+      filename: file.originalname,
+      size: file.size,
+      contentType: stored.contentType,
+      attachmentId: stored._id
+    });
+  }
+  return attachments;
+}
+
+/**
+ * Sao chép danh sách đính kèm sang email mới (chuyển tiếp): dùng chung tệp và tăng số tham chiếu.
+ * Tệp bị cách ly không được sao chép.
+ */
+async function copyAttachments(attachments = []) {
+  const copies = [];
+  for (const { url, filename, size, contentType, attachmentId, storageKey, quarantined } of attachments) {
+    if (quarantined) continue;
+    if (attachmentId) await Attachment.updateOne({ _id: attachmentId }, { $inc: { refCount: 1 } });
+    copies.push({ url, filename, size, contentType, attachmentId, storageKey });
+  }
+  return copies;
+}
+
+/**
+ * Cách ly tệp bị chính sách đính kèm chặn: lưu riêng trong storage (prefix quarantine), không có URL tải
+ * và không được gửi tiếp. Trả về mục để lưu vào Email.attachments.
+ */
+async function quarantineAttachment(file, reason) {
+  const { key } = await storeFile(file.buffer, {
+    prefix: 'quarantine',
+    filename: file.originalname,
+    contentType: file.mimetype
+  });
+  return {
+    filename: file.originalname,
+    size: file.size,
+    contentType: file.mimetype,
+    storageKey: key,
+    quarantined: true,
+    blockedReason: reason
+  };
+}
+
+// Lưu ảnh đại diện, trả về { key, url }
+async function uploadProfilePicture(file) {
+  return storeFile(file.buffer, { prefix: 'profiles', filename: file.originalname, contentType: file.mimetype });
+}
+
+/**
+ * Giảm số tham chiếu của các đính kèm và xóa tệp khi không còn email nào dùng. Gọi sau khi email
+ * đã bị xóa hoặc đính kèm đã được gỡ khỏi email.
+ */
+async function releaseAttachments(attachments = []) {
+  for (const attachment of attachments) {
+    if (attachment.attachmentId) {
+      const stored = await Attachment.findOneAndUpdate(
+        { _id: attachment.attachmentId },
+        { $inc: { refCount: -1 } },
+        { new: true }
+      );
+      // Chỉ xóa khi không có yêu cầu nào vừa dùng lại tệp trong lúc này
+      if (stored && stored.refCount <= 0) {
+        const { deletedCount } = await Attachment.deleteOne({ _id: stored._id, refCount: { $lte: 0 } });
+        if (deletedCount > 0) await removeFile(stored.storageKey);
+      }
+    } else if (attachment.storageKey && !(await Email.exists({ 'attachments.storageKey': attachment.storageKey }))) {
+      await removeFile(attachment.storageKey);
+    }
+  }
+}
+
+// Key trong storage của một đính kèm (null với tệp chỉ có URL công khai)
+async function storageKeyOf(attachment) {
+  if (attachment.attachmentId) {
+    const stored = await Attachment.findById(attachment.attachmentId);
+    return stored ? stored.storageKey : null;
+  }
+  return attachment.storageKey || null;
+}
+
+// Đọc toàn bộ nội dung một đính kèm: từ storage, hoặc tải từ URL với tệp cũ
+async function readAttachment(attachment) {
+  const key = await storageKeyOf(attachment);
+  if (!key) {
+    const response = await fetch(attachment.url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+  const chunks = [];
+  for await (const chunk of await readFile(key)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Nguồn nội dung cho nodemailer: luồng đọc từ storage, hoặc URL với tệp cũ.
+ * Trả về ngay (không async) để dùng khi dựng thư MIME; tệp chỉ được mở khi luồng bắt đầu được đọc.
+ */
+function mimeAttachmentSource(attachment) {
+  if (!attachment.attachmentId && !attachment.storageKey) return { path: attachment.url };
+  let source = null;
+  const content = new Readable({
+    read() {
+      if (source) {
+        if (typeof source.resume === 'function') source.resume();
+        return;
+      }
+      source = storageKeyOf(attachment)
+        .then(key => {
+          if (!key) throw new Error(`Attachment ${attachment.attachmentId} not found`);
+          return readFile(key);
+        })
+        .then(stream => {
+          source = stream;
+          stream.on('data', chunk => {
+            if (!content.push(chunk)) stream.pause();
+          });
+          stream.on('end', () => content.push(null));
+          stream.on('error', err => content.destroy(err));
+        })
+        .catch(err => content.destroy(err));
+    },
+    destroy(err, callback) {
+      if (source && typeof source.destroy === 'function') source.destroy();
+      callback(err);
+    }
+  });
+  return { content };
+}
+
+module.exports = {
+  uploadAttachments,
+  copyAttachments,
+  quarantineAttachment,
+  uploadProfilePicture,
+  releaseAttachments,
+  storageKeyOf,
+  readAttachment,
+  mimeAttachmentSource
+};
@@ -0,0 +1,139 @@
+// Chuyển đổi danh bạ sang / từ vCard (RFC 6350, đọc được cả vCard 2.1 và 3.0)
+
+// Escape giá trị văn bản: \ , ; và xuống dòng
+const escapeValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeValue = (value) => value.replace(/\\([\\,;nN])/g, (match, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+// Gập dòng dài hơn 75 byte, dòng tiếp theo bắt đầu bằng một dấu cách
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Một liên hệ dưới dạng vCard 3.0
+function toVCard(contact) {
+  const name = contact.name || contact.emails[0] || '';
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeValue(name)}`];
+  // N là bắt buộc ở vCard 3.0; không tách họ/tên vì thứ tự họ tên khác nhau giữa các ngôn ngữ
+  lines.push(`N:;${escapeValue(name)};;;`);
+  contact.emails.forEach((email, i) => lines.push(`EMAIL;TYPE=INTERNET${i === 0 ? ',PREF' : ''}:${email}`));
+  if (contact.phone) lines.push(`TEL;TYPE=CELL:${escapeValue(contact.phone)}`);
+  if (contact.notes) lines.push(`NOTE:${escapeValue(contact.notes)}`);
+  if (contact.avatar) lines.push(`PHOTO;VALUE=URI:${contact.avatar}`);
+  lines.push('END:VCARD');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Giải mã quoted-printable của vCard 2.1 (UTF-8)
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  const text = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i]));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// Tách một dòng "nhóm.TÊN;THAM SỐ:giá trị" thành { name, params, value }
+function parseLine(line) {
+  const separator = line.indexOf(':');
+  if (separator < 0) return null;
+  const [rawName, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, val] = param.split('=');
+    // vCard 2.1 cho phép tham số không có tên, ví dụ "TEL;CELL"
+    if (val === undefined) params.TYPE = [params.TYPE, key].filter(Boolean).join(',');
+    else params[key.toUpperCase()] = val;
+  }
+  let value = line.slice(separator + 1);
+  if ((params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE') value = decodeQuotedPrintable(value);
+  return { name: rawName.split('.').pop().toUpperCase(), params, value };
+}
+
+/**
+ * Đọc tệp .vcf, trả về danh sách { name, emails, phone, notes, avatar }.
+ * Chỉ ảnh đại diện dạng URL được giữ lại; ảnh nhúng base64 bị bỏ qua.
+ */
+function parseVCards(text) {
+  // Gộp các dòng bị gập (dòng sau bắt đầu bằng dấu cách/tab)
+  const rawLines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  // Dòng quoted-printable kết thúc bằng "=" được nối với dòng sau
+  const lines = [];
+  for (const line of rawLines) {
+    const previous = lines[lines.length - 1];
+    if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+      lines[lines.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  const cards = [];
+  let card = null;
+  for (const line of lines) {
+    if (/^BEGIN:VCARD$/i.test(line.trim())) {
+      card = { name: '', structuredName: '', emails: [], phone: '', notes: '', avatar: '' };
+      continue;
+    }
+    if (!card) continue;
+    if (/^END:VCARD$/i.test(line.trim())) {
+      if (!card.name) card.name = card.structuredName;
+      delete card.structuredName;
+      cards.push(card);
+      card = null;
+      continue;
+    }
+
+    const property = parseLine(line);
+    if (!property) continue;
+    const value = property.value.trim();
+    switch (property.name) {
+      case 'FN':
+        card.name = unescapeValue(value);
+        break;
+      case 'N': {
+        // Họ;Tên;Tên đệm;Danh xưng;Hậu tố
+        const [family = '', given = '', middle = ''] = value.split(/(?<!\\);/).map(unescapeValue);
+        card.structuredName = [given, middle, family].filter(Boolean).join(' ');
+        break;
+      }
+      case 'EMAIL':
+        if (value) card.emails.push(value.replace(/^mailto:/i, '').toLowerCase());
+        break;
+      case 'TEL':
+        if (!card.phone) card.phone = unescapeValue(value).replace(/^tel:/i, '');
+        break;
+      case 'NOTE':
+        card.notes = unescapeValue(value);
+        break;
+      case 'PHOTO':
+        if (/^https?:\/\//i.test(value)) card.avatar = value;
+        break;
+      default:
+        break;
+    }
+  }
+  return cards;
+}
+
+module.exports = { toVCard, parseVCards };